@@ -6,6 +6,12 @@ const path = require("path");
 require("dotenv").config();
 
 const { ensureAdminUser } = require("./services/admin-setup");
+const { ensureBookingIndexes } = require("./services/booking");
+const { ensureCategories } = require("./services/categories");
+const { generateAllAvailability } = require("./services/schedule");
+const { expireWaitlistHolds } = require("./services/waitlist");
+const { accrueStorageFees } = require("./services/cargo-storage");
+const { createIntervalJob } = require("./lib/jobs");
 const { verifyToken } = require("./auth");
 const {
   bytesFromMegabytes,
@@ -23,6 +29,7 @@ const adminRoutes = require("./routes/admin");
 const postRoutes = require("./routes/posts");
 const lessonsRoutes = require("./routes/lessons");
 const productsRoutes = require("./routes/products");
+const productOrderRoutes = require("./routes/product-orders");
 const orderRoutes = require("./routes/orders");
 const adminCargoRoutes = require("./routes/admin-cargo");
 
@@ -84,6 +91,7 @@ app.use("/api/admin", adminRoutes);
 app.use("/api/posts", postRoutes);
 app.use("/api/lessons", lessonsRoutes);
 app.use("/api/products", productsRoutes);
+app.use("/api/product-orders", productOrderRoutes);
 app.use("/api/orders", orderRoutes);
 app.use("/api/admin/cargo", adminCargoRoutes);
 
@@ -188,6 +196,27 @@ app.use((err, req, res, next) => {
 ====================== */
 const PORT = Number(process.env.PORT || 4000);
 const MONGO_RETRY_DELAY_MS = toPositiveInt(process.env.MONGO_RETRY_DELAY_MS, 5000);
+const AVAILABILITY_GENERATOR_INTERVAL_MIN = toPositiveInt(process.env.AVAILABILITY_GENERATOR_INTERVAL_MIN, 360);
+const WAITLIST_SWEEP_INTERVAL_SEC = toPositiveInt(process.env.WAITLIST_SWEEP_INTERVAL_SEC, 60);
+const CARGO_STORAGE_SWEEP_INTERVAL_MIN = toPositiveInt(process.env.CARGO_STORAGE_SWEEP_INTERVAL_MIN, 60);
+
+const backgroundJobs = [
+  createIntervalJob({
+    name: "availability-generator",
+    intervalMs: AVAILABILITY_GENERATOR_INTERVAL_MIN * 60 * 1000,
+    run: generateAllAvailability,
+  }),
+  createIntervalJob({
+    name: "waitlist-hold-expiry",
+    intervalMs: WAITLIST_SWEEP_INTERVAL_SEC * 1000,
+    run: expireWaitlistHolds,
+  }),
+  createIntervalJob({
+    name: "cargo-storage-fees",
+    intervalMs: CARGO_STORAGE_SWEEP_INTERVAL_MIN * 60 * 1000,
+    run: () => accrueStorageFees(),
+  }),
+];
 
 const buildMongoUri = () => {
   const explicit = (process.env.MONGO_URI || process.env.MONGODB_URI || "").trim();
@@ -256,6 +285,10 @@ const connectMongo = async (reason = "startup") => {
 
     await mongoose.connect(MONGO_URI, MONGO_CONNECT_OPTIONS);
     await ensureAdminUser();
+    if (await ensureBookingIndexes()) console.log("Replaced legacy booking timeslot index");
+    const linkedProducts = await ensureCategories();
+    if (linkedProducts > 0) console.log(`Linked ${linkedProducts} products to categories`);
+    backgroundJobs.forEach((job) => job.start());
   } catch (e) {
     console.error("Mongo connect failed:", e.message);
     console.error("Mongo connection config check:");
@@ -295,6 +328,7 @@ const shutdown = async (signal) => {
       clearTimeout(reconnectTimer);
       reconnectTimer = null;
     }
+    backgroundJobs.forEach((job) => job.stop());
     await mongoose.connection.close(false);
   } catch (_) {
     // ignore close errors during shutdown
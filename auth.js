@@ -63,7 +63,23 @@ const verifyToken = (token) => {
   });
 };
 
+/**
+ * Sign a value for links that must work without a bearer token
+ * (e.g. calendar downloads opened straight from a phone)
+ */
+const signValue = (value) =>
+  crypto.createHmac("sha256", secret).update(String(value)).digest("base64url");
+
+const verifySignedValue = (value, signature) => {
+  if (typeof signature !== "string" || !signature) return false;
+  const expected = Buffer.from(signValue(value));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
 module.exports = {
   createToken,
+  signValue,
+  verifySignedValue,
   verifyToken,
 };
@@ -0,0 +1,93 @@
+/**
+ * Minimal RFC 4180 reader: quoted fields, escaped quotes ("") and CRLF/LF
+ * line endings. Each row carries the 1-based physical line it starts on,
+ * which differs from its index once a quoted field spans several lines.
+ */
+const readCsvRows = (input) => {
+  const text = String(input || "").replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  let lineNo = 1;
+  let rowLine = 1;
+
+  // CRLF is one line break; returns how many extra characters it used
+  const lineBreak = (i) => {
+    lineNo += 1;
+    return text[i] === "\r" && text[i + 1] === "\n" ? 1 : 0;
+  };
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else if (char === "\n" || char === "\r") {
+        const extra = lineBreak(i);
+        field += text.slice(i, i + 1 + extra);
+        i += extra;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      i += lineBreak(i);
+      row.push(field);
+      rows.push({ cells: row, line: rowLine });
+      row = [];
+      field = "";
+      rowLine = lineNo;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push({ cells: row, line: rowLine });
+  }
+
+  return rows;
+};
+
+/**
+ * Parse CSV into an array of rows, each an array of raw strings.
+ */
+const parseCsv = (input) => readCsvRows(input).map(({ cells }) => cells);
+
+/**
+ * Parse CSV with a header row into objects keyed by the header names.
+ * Blank lines are skipped; `line` is the 1-based line number in the file
+ * where the record starts.
+ */
+const parseCsvRecords = (input) => {
+  const [{ cells: header = [] } = {}, ...rows] = readCsvRows(input);
+  const keys = header.map((h) => h.trim());
+
+  return rows
+    .filter(({ cells }) => cells.some((cell) => cell.trim() !== ""))
+    .map(({ cells, line }) => {
+      const record = {};
+      keys.forEach((key, i) => {
+        record[key] = (cells[i] ?? "").trim();
+      });
+      return { line, record };
+    });
+};
+
+module.exports = {
+  parseCsv,
+  parseCsvRecords,
+};
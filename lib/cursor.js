@@ -0,0 +1,45 @@
+const { Types } = require("mongoose");
+
+/**
+ * Opaque keyset cursor: the sort value and _id of the last row on a page,
+ * base64url-encoded. Dates are tagged so they round-trip as Dates.
+ */
+const encodeCursor = (doc, sortField) => {
+  const value = doc[sortField];
+  const payload = {
+    v: value instanceof Date ? value.toISOString() : value ?? null,
+    d: value instanceof Date,
+    id: String(doc._id),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+};
+
+const decodeCursor = (raw) => {
+  if (typeof raw !== "string" || !raw) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(raw, "base64url").toString("utf8"));
+    if (!payload || !Types.ObjectId.isValid(payload.id)) return null;
+    const value = payload.d ? new Date(payload.v) : payload.v;
+    if (value instanceof Date && Number.isNaN(value.getTime())) return null;
+    return { value, id: new Types.ObjectId(payload.id) };
+  } catch {
+    return null;
+  }
+};
+
+// Rows strictly after the cursor in (sortField, _id) order.
+const cursorFilter = (sortField, direction, cursor) => {
+  const op = direction === 1 ? "$gt" : "$lt";
+  return {
+    $or: [
+      { [sortField]: { [op]: cursor.value } },
+      { [sortField]: cursor.value, _id: { [op]: cursor.id } },
+    ],
+  };
+};
+
+module.exports = {
+  cursorFilter,
+  decodeCursor,
+  encodeCursor,
+};
@@ -0,0 +1,79 @@
+const pad = (value) => String(value).padStart(2, "0");
+
+// iCalendar UTC timestamp: 20250101T093000Z
+const formatUtc = (date) =>
+  `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+  `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+
+const escapeText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// RFC 5545 limits content lines to 75 octets; continuation lines start with a space.
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, "utf8");
+  if (bytes.length <= 75) return line;
+
+  const chunks = [];
+  let current = "";
+  let currentBytes = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char, "utf8");
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (currentBytes + size > limit) {
+      chunks.push(current);
+      current = "";
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += size;
+  }
+  chunks.push(current);
+  return chunks.join("\r\n ");
+};
+
+const buildEvent = (event, stamp) => {
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${event.uid}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${formatUtc(event.start)}`,
+    `DTEND:${formatUtc(event.end)}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+  ];
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.status) lines.push(`STATUS:${event.status}`);
+  if (event.transparent) lines.push("TRANSP:TRANSPARENT");
+  if (event.updatedAt) lines.push(`LAST-MODIFIED:${formatUtc(event.updatedAt)}`);
+  lines.push("END:VEVENT");
+  return lines;
+};
+
+/**
+ * Serialise a VCALENDAR with the given events. Event times are written in UTC
+ * so clients render them in the viewer's own zone without VTIMEZONE blocks.
+ */
+const buildCalendar = ({ name, events = [] }) => {
+  const stamp = formatUtc(new Date());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Yuki//Booking//MN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+  ];
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  events.forEach((event) => lines.push(...buildEvent(event, stamp)));
+  lines.push("END:VCALENDAR");
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+};
+
+module.exports = {
+  buildCalendar,
+  escapeText,
+  formatUtc,
+};
@@ -0,0 +1,39 @@
+/**
+ * In-process interval job. A tick is skipped while the previous run is still
+ * going, and the timer never keeps the process alive on shutdown.
+ */
+const createIntervalJob = ({ name, intervalMs, run }) => {
+  let timer = null;
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await run();
+    } catch (err) {
+      console.error(`Background job "${name}" failed:`, err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  return {
+    name,
+    start() {
+      if (timer) return;
+      void tick();
+      timer = setInterval(() => void tick(), intervalMs);
+      timer.unref();
+    },
+    stop() {
+      if (!timer) return;
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+};
+
+module.exports = {
+  createIntervalJob,
+};
@@ -0,0 +1,67 @@
+const { toPositiveInt } = require("./upload");
+
+// Reverse proxies in front of the app that append to X-Forwarded-For (0 = none)
+const RATE_LIMIT_PROXY_HOPS = toPositiveInt(process.env.RATE_LIMIT_PROXY_HOPS, 0);
+
+/**
+ * Client address for rate limiting. req.ip follows app-wide "trust proxy",
+ * which takes the left-most X-Forwarded-For entry that clients can forge, so
+ * only the entries added by our own proxies are trusted here.
+ */
+const clientAddress = (req, hops = RATE_LIMIT_PROXY_HOPS) => {
+  const forwarded = String(req.headers["x-forwarded-for"] || "")
+    .split(",")
+    .map((value) => value.trim())
+    .filter(Boolean);
+  const chain = [...forwarded, req.socket?.remoteAddress || ""];
+  return chain[Math.max(0, chain.length - 1 - hops)];
+};
+
+/**
+ * Fixed-window, in-memory rate limiter middleware. Counters live in this
+ * process only, which is enough for a single instance behind one proxy.
+ */
+const createRateLimiter = ({
+  windowMs,
+  max,
+  keyGenerator = (req) => clientAddress(req),
+  message = "Too many requests, please try again later",
+}) => {
+  const hits = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }, windowMs);
+  sweep.unref();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    const key = keyGenerator(req) || "unknown";
+    let entry = hits.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+
+    entry.count += 1;
+    res.setHeader("X-RateLimit-Limit", String(max));
+    res.setHeader("X-RateLimit-Remaining", String(Math.max(0, max - entry.count)));
+
+    if (entry.count > max) {
+      res.setHeader("Retry-After", String(Math.ceil((entry.resetAt - now) / 1000)));
+      return res.status(429).json({ success: false, error: message });
+    }
+
+    return next();
+  };
+};
+
+module.exports = {
+  RATE_LIMIT_PROXY_HOPS,
+  clientAddress,
+  createRateLimiter,
+};
@@ -0,0 +1,91 @@
+const DEFAULT_TIME_ZONE = String(process.env.BOOKING_TIME_ZONE || "Asia/Ulaanbaatar").trim();
+
+const formatterCache = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      }),
+    );
+  }
+  return formatterCache.get(timeZone);
+};
+
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== "string" || !timeZone.trim()) return false;
+  try {
+    getFormatter(timeZone.trim());
+    return true;
+  } catch (_) {
+    return false;
+  }
+};
+
+// Wall-clock parts of an instant as seen in the given zone.
+const zonedParts = (instant, timeZone = DEFAULT_TIME_ZONE) => {
+  const parts = getFormatter(timeZone).formatToParts(instant);
+  const get = (type) => Number(parts.find((part) => part.type === type)?.value);
+  return {
+    year: get("year"),
+    month: get("month"),
+    day: get("day"),
+    hour: get("hour"),
+    minute: get("minute"),
+    second: get("second"),
+  };
+};
+
+const offsetMinutesAt = (timeZone, utcMs) => {
+  const p = zonedParts(new Date(utcMs), timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - utcMs) / 60000);
+};
+
+/**
+ * Convert a wall-clock date (YYYY-MM-DD) and time (HH:mm) in `timeZone` to
+ * the matching UTC instant. The offset is re-checked once so times next to a
+ * DST switch land on the right side of it.
+ */
+const zonedTimeToUtc = (isoDate, time, timeZone = DEFAULT_TIME_ZONE) => {
+  const naive = Date.parse(`${isoDate}T${time}:00Z`);
+  const offset = offsetMinutesAt(timeZone, naive);
+  let utc = naive - offset * 60000;
+  const corrected = offsetMinutesAt(timeZone, utc);
+  if (corrected !== offset) utc = naive - corrected * 60000;
+  return new Date(utc);
+};
+
+const pad = (value) => String(value).padStart(2, "0");
+
+// Calendar date (YYYY-MM-DD) of an instant in the given zone.
+const dateInZone = (instant = new Date(), timeZone = DEFAULT_TIME_ZONE) => {
+  const p = zonedParts(instant, timeZone);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+};
+
+const isPastInZone = (isoDate, time, timeZone = DEFAULT_TIME_ZONE, now = new Date()) =>
+  zonedTimeToUtc(isoDate, time, timeZone).getTime() <= now.getTime();
+
+// Weekday name for a calendar date; the date itself has no zone, so format it as UTC noon.
+const weekdayLabel = (isoDate, locale = "mn-MN") =>
+  new Date(`${isoDate}T12:00:00Z`).toLocaleDateString(locale, { weekday: "long", timeZone: "UTC" });
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  dateInZone,
+  isPastInZone,
+  isValidTimeZone,
+  weekdayLabel,
+  zonedParts,
+  zonedTimeToUtc,
+};
@@ -47,17 +47,12 @@ const parseAllowedMimeTypes = (raw, defaults = []) => {
     .filter(Boolean);
 };
 
-const createDiskUpload = ({
-  destinationDir,
-  maxFileSizeBytes,
-  allowedMimeTypes = [],
-}) => {
-  fs.mkdirSync(destinationDir, { recursive: true });
+const createMimeFilter = (allowedMimeTypes = []) => {
   const allowed = new Set(
     (allowedMimeTypes || []).map((v) => String(v).toLowerCase())
   );
 
-  const fileFilter = (req, file, cb) => {
+  return (req, file, cb) => {
     if (!allowed.size) return cb(null, true);
     const mime = String(file?.mimetype || "").toLowerCase();
     if (allowed.has(mime)) return cb(null, true);
@@ -65,6 +60,14 @@ const createDiskUpload = ({
     err.code = "UNSUPPORTED_FILE_TYPE";
     return cb(err);
   };
+};
+
+const createDiskUpload = ({
+  destinationDir,
+  maxFileSizeBytes,
+  allowedMimeTypes = [],
+}) => {
+  fs.mkdirSync(destinationDir, { recursive: true });
 
   return multer({
     storage: multer.diskStorage({
@@ -72,10 +75,18 @@ const createDiskUpload = ({
       filename: (req, file, cb) => cb(null, makeUniqueFilename(file.originalname)),
     }),
     limits: maxFileSizeBytes ? { fileSize: maxFileSizeBytes } : undefined,
-    fileFilter,
+    fileFilter: createMimeFilter(allowedMimeTypes),
   });
 };
 
+// For files that are parsed in the request and never stored (e.g. CSV imports)
+const createMemoryUpload = ({ maxFileSizeBytes, allowedMimeTypes = [] }) =>
+  multer({
+    storage: multer.memoryStorage(),
+    limits: maxFileSizeBytes ? { fileSize: maxFileSizeBytes } : undefined,
+    fileFilter: createMimeFilter(allowedMimeTypes),
+  });
+
 const getDiskInfo = (targetPath) => {
   try {
     if (typeof fs.statfsSync !== "function") return null;
@@ -110,6 +121,7 @@ module.exports = {
   bytesFromMegabytes,
   createMinFreeSpaceGuard,
   createDiskUpload,
+  createMemoryUpload,
   getDiskInfo,
   makeUniqueFilename,
   parseAllowedMimeTypes,
@@ -7,9 +7,11 @@ const artistSchema = new mongoose.Schema({
     avatarUrl: { type: String, trim: true },
     locations: [{ type: mongoose.Schema.Types.ObjectId, ref: "Location" }],
     active: { type: Boolean, default: true },
+    calendarToken: { type: String, select: false }, // secret for the ICS feed; unset to revoke
 }, { timestamps: true });
 
 artistSchema.index({ locations: 1, active: 1 });
 artistSchema.index({ active: 1 });
+artistSchema.index({ calendarToken: 1 }, { unique: true, sparse: true });
 
 module.exports = mongoose.model("Artist", artistSchema);
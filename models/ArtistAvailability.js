@@ -3,6 +3,7 @@ const mongoose = require("mongoose");
 const slotSchema = new mongoose.Schema({
     time: { type: String, required: true }, // HH:mm format
     isBooked: { type: Boolean, default: false },
+    durationMinutes: { type: Number, min: 1 }, // falls back to the gap until the next slot
 }, { _id: false });
 
 const artistAvailabilitySchema = new mongoose.Schema({
@@ -1,7 +1,20 @@
 const mongoose = require("mongoose");
 
+const staffNoteSchema = new mongoose.Schema({
+    text: { type: String, required: true, trim: true },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: "AdminUser" },
+    createdAt: { type: Date, default: Date.now },
+}, { _id: true });
+
 const bookingSchema = new mongoose.Schema({
-    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    // Walk-ins may have no account; their contact details live in `customer`
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required() {
+            return this.source !== "walk_in";
+        },
+    },
     customer: {
         name: { type: String, trim: true },
         phone: { type: String, trim: true },
@@ -11,12 +24,32 @@ const bookingSchema = new mongoose.Schema({
     date: { type: String, required: true },
     time: { type: String, required: true },
     timeslot: { type: String, required: true },
-    status: { type: String, enum: ["confirmed", "cancelled"], default: "confirmed" },
+    slotTimes: [{ type: String }], // every HH:mm slot the booking occupies, starting with `time`
+    service: { type: mongoose.Schema.Types.ObjectId, ref: "Service" },
+    serviceName: { type: String, trim: true },
+    durationMinutes: { type: Number, min: 0 },
+    price: { type: Number, min: 0 },
+    status: { type: String, enum: ["confirmed", "cancelled", "completed", "no_show"], default: "confirmed" },
+    source: { type: String, enum: ["online", "walk_in"], default: "online" },
     notes: { type: String, trim: true },
+    staffNotes: { type: [staffNoteSchema], default: [] },
+    statusChangedAt: Date,
+    statusChangedBy: { type: mongoose.Schema.Types.ObjectId, ref: "AdminUser" },
+    cancelledAt: Date,
+    cancelledBy: { type: String, enum: ["customer", "admin"] },
+    cancelReason: { type: String, trim: true },
+    rescheduledAt: Date,
+    previousTimeslots: [{ type: String }],
 }, { timestamps: true });
 
-bookingSchema.index({ artist: 1, timeslot: 1 }, { unique: true });
+// Only live bookings hold a timeslot; cancelled ones must not block rebooking it.
+bookingSchema.index(
+    { artist: 1, timeslot: 1 },
+    { name: "artist_timeslot_confirmed", unique: true, partialFilterExpression: { status: "confirmed" } },
+);
 bookingSchema.index({ user: 1, createdAt: -1 });
+bookingSchema.index({ location: 1, date: 1, time: 1 });
+bookingSchema.index({ "customer.phone": 1 });
 
 bookingSchema.pre("validate", function setTimeslot(next) {
     if (this.date && this.time) {
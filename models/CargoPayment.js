@@ -0,0 +1,72 @@
+const mongoose = require("mongoose");
+
+const CargoPaymentSchema = new mongoose.Schema(
+    {
+        /* ======================
+           PAYER
+        ====================== */
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true,
+        },
+
+        /* ======================
+           PAYMENT
+        ====================== */
+        amount: {
+            type: Number,
+            required: true,
+            min: 0,
+        },
+
+        method: {
+            type: String,
+            enum: ["cash", "bank_transfer", "qpay"],
+            required: true,
+        },
+
+        // Bank transaction id or QPay invoice / payment id
+        reference: {
+            type: String,
+            trim: true,
+        },
+
+        // How the amount was split across the customer's orders
+        allocations: [
+            {
+                order: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: "Order",
+                },
+                trackingNumber: String,
+                amount: Number,
+            },
+        ],
+
+        note: {
+            type: String,
+            trim: true,
+        },
+
+        /* ======================
+           STAFF TRACEABILITY
+        ====================== */
+        receivedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+        },
+
+        receivedAt: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    { timestamps: true }
+);
+
+CargoPaymentSchema.index({ "allocations.order": 1 });
+CargoPaymentSchema.index({ userId: 1, receivedAt: -1 });
+
+module.exports = mongoose.model("CargoPayment", CargoPaymentSchema);
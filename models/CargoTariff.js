@@ -0,0 +1,84 @@
+const mongoose = require("mongoose");
+
+const CargoTariffSchema = new mongoose.Schema(
+    {
+        /* ======================
+           ROUTE
+        ====================== */
+        fromCountry: {
+            type: String,
+            required: true,
+            uppercase: true,
+            trim: true,
+        },
+
+        toCountry: {
+            type: String,
+            required: true,
+            uppercase: true,
+            trim: true,
+        },
+
+        /* ======================
+           RATES
+        ====================== */
+        ratePerKg: {
+            type: Number,
+            required: true,
+            min: 0,
+        },
+
+        minCharge: {
+            type: Number,
+            default: 0,
+            min: 0,
+        },
+
+        // cm³ per kg; volumetric weight = L × W × H / divisor
+        volumetricDivisor: {
+            type: Number,
+            default: 6000,
+            min: 1,
+        },
+
+        /* ======================
+           STORAGE (UNCLAIMED PARCELS)
+        ====================== */
+        // Days an ARRIVED parcel waits for free before the daily fee starts
+        storageFreeDays: {
+            type: Number,
+            min: 0,
+        },
+
+        storageFeePerDay: {
+            type: Number,
+            min: 0,
+        },
+
+        currency: {
+            type: String,
+            default: "MNT",
+            uppercase: true,
+            trim: true,
+        },
+
+        active: {
+            type: Boolean,
+            default: true,
+        },
+
+        note: {
+            type: String,
+            trim: true,
+        },
+
+        updatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+        },
+    },
+    { timestamps: true }
+);
+
+CargoTariffSchema.index({ fromCountry: 1, toCountry: 1 }, { unique: true });
+
+module.exports = mongoose.model("CargoTariff", CargoTariffSchema);
@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+const categorySchema = new mongoose.Schema(
+  {
+    // URL-safe identifier used by clients and filters
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    // Display name; products keep a copy in Product.category
+    name: { type: String, required: true, unique: true, trim: true },
+    icon: { type: String, trim: true },
+    order: { type: Number, default: 0 },
+    active: { type: Boolean, default: true },
+    // New products in a preorder category default to the "preorder" stock mode
+    preorder: { type: Boolean, default: false },
+  },
+  { timestamps: true },
+);
+
+categorySchema.index({ active: 1, order: 1 });
+
+module.exports = mongoose.model("Category", categorySchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { DEFAULT_TIME_ZONE } = require("../lib/timezone");
 
 const locationSchema = new mongoose.Schema({
     name: { type: String, required: true, trim: true },
@@ -8,6 +9,7 @@ const locationSchema = new mongoose.Schema({
     address: { type: String, trim: true },
     phone: { type: String, trim: true },
     workingHours: { type: String, trim: true },
+    timezone: { type: String, trim: true, default: DEFAULT_TIME_ZONE }, // IANA zone, e.g. Asia/Ulaanbaatar
     description: { type: String, trim: true },
     imageUrl: { type: String, trim: true },
     order: { type: Number, default: 0 },
@@ -0,0 +1,15 @@
+const mongoose = require("mongoose");
+
+const notificationSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    type: { type: String, required: true, trim: true },
+    title: { type: String, required: true, trim: true },
+    message: { type: String, trim: true },
+    data: { type: mongoose.Schema.Types.Mixed },
+    readAt: Date,
+}, { timestamps: true });
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+module.exports = mongoose.model("Notification", notificationSchema);
@@ -22,6 +22,20 @@ const OrderSchema = new mongoose.Schema(
             trim: true,
         },
 
+        // Warehouse batch / truck label set by bulk status scans
+        batchLabel: {
+            type: String,
+            trim: true,
+            index: true,
+        },
+
+        // Consolidation batch (container / truck) the parcel travels in
+        shipment: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Shipment",
+            index: true,
+        },
+
         /* ======================
            ROUTE
         ====================== */
@@ -55,6 +69,138 @@ const OrderSchema = new mongoose.Schema(
         priceUpdatedAt: Date,
         weightUpdatedAt: Date,
 
+        dimensions: {
+            lengthCm: { type: Number, min: 0 },
+            widthCm: { type: Number, min: 0 },
+            heightCm: { type: Number, min: 0 },
+        },
+
+        volumetricWeightKg: {
+            type: Number,
+            min: 0,
+        },
+
+        chargeableWeightKg: {
+            type: Number,
+            min: 0,
+        },
+
+        /* ======================
+           CUSTOMER DECLARATION
+        ====================== */
+        // What the customer says is in the parcel; locked once staff receive it
+        items: [
+            {
+                name: {
+                    type: String,
+                    required: true,
+                    trim: true,
+                },
+                quantity: {
+                    type: Number,
+                    default: 1,
+                    min: 1,
+                },
+                declaredValue: {
+                    type: Number,
+                    min: 0,
+                },
+                storeUrl: {
+                    type: String,
+                    trim: true,
+                },
+                photoUrl: {
+                    type: String,
+                    trim: true,
+                },
+            },
+        ],
+
+        declaredCurrency: {
+            type: String,
+            default: "CNY",
+            uppercase: true,
+            trim: true,
+        },
+
+        declaredValueTotal: {
+            type: Number,
+            min: 0,
+        },
+
+        declarationUpdatedAt: Date,
+
+        /* ======================
+           PRICING
+        ====================== */
+        // Snapshot of the tariff used for the last automatic price
+        pricing: {
+            tariffId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "CargoTariff",
+            },
+            ratePerKg: Number,
+            minCharge: Number,
+            volumetricDivisor: Number,
+            computedPrice: Number,
+            computedAt: Date,
+        },
+
+        // Set while staff keep a manual price; weight changes then leave the price alone
+        priceOverride: {
+            by: mongoose.Schema.Types.ObjectId,
+            at: Date,
+            reason: {
+                type: String,
+                trim: true,
+            },
+        },
+
+        priceAudit: [
+            {
+                price: Number,
+                source: {
+                    type: String,
+                    enum: ["tariff", "manual"],
+                },
+                by: mongoose.Schema.Types.ObjectId,
+                reason: String,
+                changedAt: { type: Date, default: Date.now },
+            },
+        ],
+
+        /* ======================
+           STORAGE FEE
+        ====================== */
+        arrivedAt: Date,
+
+        // Accrued daily while the parcel sits in ARRIVED past its free days
+        storageFee: {
+            type: Number,
+            default: 0,
+            min: 0,
+        },
+
+        storageFeeDays: {
+            type: Number,
+            default: 0,
+            min: 0,
+        },
+
+        storageFeeUpdatedAt: Date,
+
+        /* ======================
+           PAYMENT
+        ====================== */
+        // Sum of CargoPayment allocations to this order
+        paidAmount: {
+            type: Number,
+            default: 0,
+            min: 0,
+        },
+
+        paidAt: Date,
+
         /* ======================
            STATUS
         ====================== */
@@ -75,14 +221,35 @@ const OrderSchema = new mongoose.Schema(
         statusHistory: [
             {
                 status: String,
+                from: String,
                 changedAt: { type: Date, default: Date.now },
                 by: {
                     type: mongoose.Schema.Types.ObjectId,
                     ref: "User", // operator or admin
                 },
+                note: String,
+                // Delivered while money was still owed, with staff approval
+                unpaidOverride: Boolean,
             },
         ],
 
+        /* ======================
+           PICKUP
+        ====================== */
+        // One-time code issued on ARRIVED; only the owner's own endpoints select it
+        pickupCode: {
+            type: String,
+            select: false,
+        },
+
+        pickupCodeIssuedAt: Date,
+        pickedUpAt: Date,
+
+        handedOverBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+        },
+
         /* ======================
            STAFF TRACEABILITY
         ====================== */
@@ -112,6 +279,13 @@ const OrderSchema = new mongoose.Schema(
             default: false,
             index: true,
         },
+
+        archivedAt: Date,
+
+        archivedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+        },
     },
     { timestamps: true }
 );
@@ -121,5 +295,7 @@ const OrderSchema = new mongoose.Schema(
 ====================== */
 OrderSchema.index({ userId: 1, createdAt: -1 });
 OrderSchema.index({ status: 1, createdAt: -1 });
+OrderSchema.index({ isArchived: 1, createdAt: -1, _id: -1 });
+OrderSchema.index({ status: 1, arrivedAt: 1 });
 
 module.exports = mongoose.model("Order", OrderSchema);
@@ -4,28 +4,42 @@ const productSchema = new mongoose.Schema(
   {
     name: { type: String, required: true, trim: true },
     price: { type: Number, required: true, min: 0 },
-    // Product category for marketplace filtering
-    category: {
+    // Display name of the Category, denormalised for filtering and older clients
+    category: { type: String, required: true, trim: true },
+    categoryId: { type: mongoose.Schema.Types.ObjectId, ref: "Category", index: true },
+    // "limited" products can only be sold from stock; "unlimited" and "preorder" ignore it.
+    // Products created before stock tracking have no mode and are not limited.
+    stockMode: {
       type: String,
-      enum: [
-        "Хоол",
-        "Хүнс",
-        "Бөөнний түгээлт",
-        "Урьдчилсан захиалга",
-        "Кофе амттан",
-        "Алкохол",
-        "Гэр ахуй & хүүхэд",
-        "Эргэнэтэд үйлдвэрлэв",
-        "Бэлэг & гоо сайхан",
-        "Гадаад захиалга",
-      ],
-      required: true,
-      trim: true,
+      enum: ["limited", "unlimited", "preorder"],
     },
+    stock: { type: Number, min: 0, default: 0 },
+    lowStockThreshold: { type: Number, min: 0 },
+    // Sellable variants (size, flavour, weight...). When any are active, orders must pick one
+    // and the variant's own price and stock apply instead of the product's.
+    variants: [
+      {
+        sku: { type: String, required: true, trim: true, uppercase: true },
+        label: { type: String, required: true, trim: true },
+        options: { type: Map, of: String },
+        price: { type: Number, required: true, min: 0 },
+        stock: { type: Number, min: 0, default: 0 },
+        active: { type: Boolean, default: true },
+      },
+    ],
     image: { type: String },
+    // Ordered gallery of uploaded filenames shown after the main image
+    images: { type: [String], default: [] },
     description: { type: String },
   },
   { timestamps: true },
 );
 
+productSchema.index({ category: 1, createdAt: -1 });
+productSchema.index({ price: 1 });
+productSchema.index(
+  { "variants.sku": 1 },
+  { unique: true, partialFilterExpression: { "variants.sku": { $exists: true } } },
+);
+
 module.exports = mongoose.model("Product", productSchema);
@@ -2,17 +2,59 @@ const mongoose = require("mongoose");
 
 const productOrderSchema = new mongoose.Schema(
   {
+    // Short public reference customers quote for their order
+    code: {
+      type: String,
+      unique: true,
+      sparse: true,
+      uppercase: true,
+      trim: true,
+    },
+    // Set when a logged-in customer checks out; guests only leave contact details
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      index: true,
+    },
+    // Single-product orders keep these for older clients; items holds every line
     productId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Product",
-      required: true,
       index: true,
     },
     productName: {
       type: String,
-      required: true,
       trim: true,
     },
+    items: [
+      {
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Product",
+          required: true,
+        },
+        name: { type: String, required: true, trim: true },
+        // Snapshot of the chosen variant, if the product has variants
+        variant: { type: mongoose.Schema.Types.ObjectId },
+        variantLabel: { type: String, trim: true },
+        sku: { type: String, trim: true },
+        unitPrice: { type: Number, required: true, min: 0 },
+        quantity: { type: Number, required: true, min: 1 },
+        lineTotal: { type: Number, required: true, min: 0 },
+        // Units actually taken from stock for this line (0 for untracked/preorder products)
+        reservedQuantity: { type: Number, min: 0, default: 0 },
+      },
+    ],
+    // True while some line holds reserved stock; cancelling gives it back and clears this
+    stockReserved: { type: Boolean, default: false },
+    subtotal: { type: Number, min: 0, default: 0 },
+    deliveryFee: { type: Number, min: 0, default: 0 },
+    total: { type: Number, min: 0, default: 0 },
+    delivery: {
+      address: { type: String, trim: true },
+      district: { type: String, trim: true },
+      note: { type: String, trim: true },
+    },
     customerName: {
       type: String,
       required: true,
@@ -36,12 +78,29 @@ const productOrderSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["NEW", "CONFIRMED", "CANCELLED"],
+      enum: ["NEW", "CONFIRMED", "PREPARING", "OUT_FOR_DELIVERY", "DELIVERED", "CANCELLED"],
       default: "NEW",
       index: true,
     },
+    statusHistory: [
+      {
+        status: String,
+        from: String,
+        changedAt: { type: Date, default: Date.now },
+        by: mongoose.Schema.Types.ObjectId,
+        note: String,
+      },
+    ],
+    cancelReason: {
+      type: String,
+      trim: true,
+    },
+    cancelledAt: Date,
   },
   { timestamps: true }
 );
 
+productOrderSchema.index({ status: 1, createdAt: -1 });
+productOrderSchema.index({ phone: 1, createdAt: -1 });
+
 module.exports = mongoose.model("ProductOrder", productOrderSchema);
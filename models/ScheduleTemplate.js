@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+const weeklyHoursSchema = new mongoose.Schema({
+    weekday: { type: Number, required: true, min: 0, max: 6 }, // 0 = Sunday
+    start: { type: String, required: true }, // HH:mm format
+    end: { type: String, required: true }, // HH:mm format
+    slotMinutes: { type: Number, required: true, min: 5 },
+}, { _id: false });
+
+const exceptionSchema = new mongoose.Schema({
+    startDate: { type: String, required: true }, // ISO date (YYYY-MM-DD)
+    endDate: { type: String, required: true }, // ISO date (YYYY-MM-DD), inclusive
+    reason: { type: String, trim: true },
+}, { _id: true });
+
+const scheduleTemplateSchema = new mongoose.Schema({
+    location: { type: mongoose.Schema.Types.ObjectId, ref: "Location", required: true },
+    artist: { type: mongoose.Schema.Types.ObjectId, ref: "Artist", required: true },
+    weeklyHours: { type: [weeklyHoursSchema], default: [] },
+    exceptions: { type: [exceptionSchema], default: [] },
+    horizonDays: { type: Number, default: 28, min: 1, max: 120 },
+    active: { type: Boolean, default: true },
+    lastGeneratedAt: Date,
+}, { timestamps: true });
+
+scheduleTemplateSchema.index({ artist: 1, location: 1 }, { unique: true });
+scheduleTemplateSchema.index({ active: 1 });
+
+module.exports = mongoose.model("ScheduleTemplate", scheduleTemplateSchema);
@@ -0,0 +1,17 @@
+const mongoose = require("mongoose");
+
+const serviceSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    description: { type: String, trim: true },
+    durationMinutes: { type: Number, required: true, min: 5 },
+    price: { type: Number, required: true, min: 0 },
+    artists: [{ type: mongoose.Schema.Types.ObjectId, ref: "Artist" }],
+    locations: [{ type: mongoose.Schema.Types.ObjectId, ref: "Location" }],
+    order: { type: Number, default: 0 },
+    active: { type: Boolean, default: true },
+}, { timestamps: true });
+
+serviceSchema.index({ locations: 1, active: 1 });
+serviceSchema.index({ artists: 1, active: 1 });
+
+module.exports = mongoose.model("Service", serviceSchema);
@@ -0,0 +1,82 @@
+const mongoose = require("mongoose");
+
+const ShipmentSchema = new mongoose.Schema(
+    {
+        /* ======================
+           IDENTIFICATION
+        ====================== */
+        // Container / truck code printed on the consolidation paperwork
+        code: {
+            type: String,
+            required: true,
+            unique: true,
+            uppercase: true,
+            trim: true,
+        },
+
+        carrier: {
+            type: String,
+            trim: true,
+        },
+
+        /* ======================
+           ROUTE & DATES
+        ====================== */
+        fromCountry: {
+            type: String,
+            default: "CN",
+            uppercase: true,
+        },
+
+        toCountry: {
+            type: String,
+            default: "MN",
+            uppercase: true,
+        },
+
+        departureDate: Date,
+        arrivalDate: Date,
+
+        /* ======================
+           CONTENTS
+        ====================== */
+        orders: [
+            {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "Order",
+            },
+        ],
+
+        /* ======================
+           STATUS
+        ====================== */
+        status: {
+            type: String,
+            enum: ["OPEN", "IN_TRANSIT", "ARRIVED", "CANCELLED"],
+            default: "OPEN",
+            index: true,
+        },
+
+        statusHistory: [
+            {
+                status: String,
+                from: String,
+                changedAt: { type: Date, default: Date.now },
+                by: mongoose.Schema.Types.ObjectId,
+            },
+        ],
+
+        note: {
+            type: String,
+            trim: true,
+        },
+
+        createdBy: mongoose.Schema.Types.ObjectId,
+        lastUpdatedBy: mongoose.Schema.Types.ObjectId,
+    },
+    { timestamps: true }
+);
+
+ShipmentSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Shipment", ShipmentSchema);
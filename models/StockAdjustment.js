@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+
+const stockAdjustmentSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    // Set when the change applies to one variant's stock
+    variant: { type: mongoose.Schema.Types.ObjectId },
+    // Positive for restocks and released reservations, negative for sales
+    delta: { type: Number, required: true },
+    stockAfter: { type: Number },
+    reason: {
+      type: String,
+      enum: ["order", "order_cancelled", "restock", "correction", "damaged"],
+      required: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ProductOrder",
+    },
+    by: mongoose.Schema.Types.ObjectId,
+    note: { type: String, trim: true },
+  },
+  { timestamps: true },
+);
+
+stockAdjustmentSchema.index({ product: 1, createdAt: -1 });
+
+module.exports = mongoose.model("StockAdjustment", stockAdjustmentSchema);
@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+const offerSchema = new mongoose.Schema({
+    time: { type: String, required: true }, // HH:mm start of the held slot
+    slotTimes: [{ type: String }],
+    offeredAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+}, { _id: false });
+
+const waitlistEntrySchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    customer: {
+        name: { type: String, trim: true },
+        phone: { type: String, trim: true },
+    },
+    location: { type: mongoose.Schema.Types.ObjectId, ref: "Location", required: true },
+    artist: { type: mongoose.Schema.Types.ObjectId, ref: "Artist", required: true },
+    service: { type: mongoose.Schema.Types.ObjectId, ref: "Service" },
+    durationMinutes: { type: Number, min: 0 },
+    date: { type: String, required: true }, // ISO date (YYYY-MM-DD)
+    timeFrom: { type: String }, // optional HH:mm window for the start time
+    timeTo: { type: String },
+    status: {
+        type: String,
+        enum: ["waiting", "offered", "booked", "expired", "cancelled"],
+        default: "waiting",
+    },
+    offer: offerSchema,
+    booking: { type: mongoose.Schema.Types.ObjectId, ref: "Booking" },
+}, { timestamps: true });
+
+waitlistEntrySchema.index({ artist: 1, location: 1, date: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ user: 1, createdAt: -1 });
+waitlistEntrySchema.index({ status: 1, "offer.expiresAt": 1 });
+
+module.exports = mongoose.model("WaitlistEntry", waitlistEntrySchema);
@@ -1,8 +1,26 @@
+const crypto = require("crypto");
 const express = require("express");
 const mongoose = require("mongoose");
 const Order = require("../models/Order");
 const User = require("../models/User");
+const CargoTariff = require("../models/CargoTariff");
+const CargoPayment = require("../models/CargoPayment");
+const Shipment = require("../models/Shipment");
 const { verifyToken } = require("../auth");
+const { createMemoryUpload, toPositiveInt } = require("../lib/upload");
+const { parseCsvRecords } = require("../lib/csv");
+const { cursorFilter, decodeCursor, encodeCursor } = require("../lib/cursor");
+const { normalizeAdminPhone } = require("../services/admin-setup");
+const { applyTariffPrice, parseDimensions } = require("../services/cargo-pricing");
+const { CARGO_STATUSES, applyStatusChange } = require("../services/cargo-status");
+const { getCustomerBalance, recordPayment } = require("../services/cargo-payments");
+const { accrueStorageFees, overdueStorageReport, refreshStorageFee } = require("../services/cargo-storage");
+const {
+    addOrdersToShipment,
+    buildManifest,
+    changeShipmentStatus,
+    removeOrdersFromShipment,
+} = require("../services/cargo-shipment");
 
 const router = express.Router();
 
@@ -45,26 +63,170 @@ const requireCargoStaff = (req, res, next) => {
     }
 };
 
-const ALLOWED_STATUSES = new Set([
-    "CREATED",
-    "RECEIVED",
-    "IN_TRANSIT",
-    "ARRIVED",
-    "DELIVERED",
-    "CANCELLED",
-]);
+const requireCargoAdmin = (req, res, next) => {
+    if (req.staff?.role === "admin") return next();
+    return res.status(403).json({ success: false, error: "Admin only" });
+};
+
+// Staff id for audit fields: operators carry userId, admin-panel tokens carry adminId
+const staffId = (req) => req.staff?.userId || req.staff?.adminId || undefined;
+
+/* ======================
+   INTAKE HELPERS
+====================== */
+const trackingNumberExists = async (trackingNumber) =>
+    Boolean(await Order.exists({ trackingNumber }));
+
+// Phones may arrive as typed (8-digit local) or normalised (+976...)
+const phoneCandidates = (phone) =>
+    Array.from(new Set([phone, normalizeAdminPhone(phone)].filter(Boolean)));
+
+const findOrderOwner = async ({ userId, userPhone }) => {
+    if (userId && mongoose.Types.ObjectId.isValid(userId)) {
+        return User.findById(userId).select("_id");
+    }
+    if (userPhone) {
+        return User.findOne({ phone: { $in: phoneCandidates(userPhone) } }).select("_id");
+    }
+    return null;
+};
+
+// Scanner payloads: trimmed, de-duplicated tracking numbers
+const parseTrackingNumbers = (raw) => [
+    ...new Set((Array.isArray(raw) ? raw : []).map((value) => String(value ?? "").trim()).filter(Boolean)),
+];
+
+const IMPORT_MAX_ROWS = toPositiveInt(process.env.CARGO_IMPORT_MAX_ROWS, 2000);
+const importUpload = createMemoryUpload({
+    maxFileSizeBytes: toPositiveInt(process.env.CARGO_IMPORT_MAX_KB, 2048) * 1024,
+    allowedMimeTypes: ["text/csv", "text/plain", "application/csv", "application/vnd.ms-excel"],
+});
+
+// Parcels in a shipment move with it; staff remove them from it to change them alone
+const SHIPMENT_LOCKED_ERROR = "Order is part of a shipment; change the shipment status or remove the order from it";
+
+const BULK_STATUS_MAX = toPositiveInt(process.env.CARGO_BULK_STATUS_MAX, 500);
 
 /* ======================
-   LIST ALL ORDERS
+   LIST / SEARCH ORDERS
+   ?status=A,B&from=&to=&tracking=&phone=&archived=false|true|all
+   &sort=createdAt|updatedAt|weightKg|price&order=desc|asc&limit=&cursor=
 ====================== */
+const ORDER_SORT_FIELDS = ["createdAt", "updatedAt", "weightKg", "price"];
+const ORDER_PAGE_DEFAULT = 50;
+const ORDER_PAGE_MAX = 200;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const parseDateBound = (raw, { endOfDay = false } = {}) => {
+    if (typeof raw !== "string" || !raw.trim()) return null;
+    const value = raw.trim();
+    // Bare dates cover the whole day
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(value)
+        ? new Date(`${value}T${endOfDay ? "23:59:59.999" : "00:00:00.000"}Z`)
+        : new Date(value);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+const buildOrderFilter = async (query) => {
+    const filter = {};
+
+    const archived = String(query.archived ?? "false").toLowerCase();
+    if (archived === "true") filter.isArchived = true;
+    else if (archived !== "all") filter.isArchived = { $ne: true };
+
+    if (typeof query.status === "string" && query.status.trim()) {
+        const statuses = query.status.split(",").map((s) => s.trim().toUpperCase()).filter(Boolean);
+        if (statuses.some((status) => !CARGO_STATUSES.includes(status))) {
+            return { error: "Invalid status" };
+        }
+        filter.status = { $in: statuses };
+    }
+
+    const from = parseDateBound(query.from);
+    const to = parseDateBound(query.to, { endOfDay: true });
+    if (from === undefined || to === undefined) return { error: "Invalid date range" };
+    if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = from;
+        if (to) filter.createdAt.$lte = to;
+    }
+
+    if (typeof query.tracking === "string" && query.tracking.trim()) {
+        filter.trackingNumber = { $regex: `^${escapeRegex(query.tracking.trim())}` };
+    }
+
+    if (typeof query.phone === "string" && query.phone.trim()) {
+        const users = await User.find({ phone: { $in: phoneCandidates(query.phone.trim()) } }).select("_id").lean();
+        filter.userId = { $in: users.map((user) => user._id) };
+    }
+
+    return { value: filter };
+};
+
 router.get("/orders", requireCargoStaff, async (req, res) => {
-    const orders = await Order.find()
+    const built = await buildOrderFilter(req.query);
+    if (built.error) {
+        return res.status(400).json({ success: false, error: built.error });
+    }
+
+    const sortField = ORDER_SORT_FIELDS.includes(req.query.sort) ? req.query.sort : "createdAt";
+    const direction = req.query.order === "asc" ? 1 : -1;
+    const limit = Math.min(toPositiveInt(req.query.limit, ORDER_PAGE_DEFAULT), ORDER_PAGE_MAX);
+
+    let filter = built.value;
+    if (req.query.cursor) {
+        const cursor = decodeCursor(req.query.cursor);
+        if (!cursor) {
+            return res.status(400).json({ success: false, error: "Invalid cursor" });
+        }
+        filter = { $and: [filter, cursorFilter(sortField, direction, cursor)] };
+    }
+
+    const rows = await Order.find(filter)
         .populate("userId", "phone name role")
-        .sort({ createdAt: -1 });
+        .sort({ [sortField]: direction, _id: direction })
+        .limit(limit + 1);
 
-    res.json({ success: true, orders });
+    const hasMore = rows.length > limit;
+    const orders = hasMore ? rows.slice(0, limit) : rows;
+
+    res.json({
+        success: true,
+        orders,
+        nextCursor: hasMore ? encodeCursor(orders[orders.length - 1], sortField) : null,
+    });
 });
 
+/* ======================
+   ARCHIVE / UNARCHIVE
+====================== */
+const setArchived = (isArchived) => async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ success: false, error: "Invalid id" });
+    }
+
+    const by = staffId(req);
+    const order = await Order.findByIdAndUpdate(
+        id,
+        isArchived
+            ? { $set: { isArchived: true, archivedAt: new Date(), archivedBy: by, lastUpdatedBy: by } }
+            : { $set: { isArchived: false, lastUpdatedBy: by }, $unset: { archivedAt: "", archivedBy: "" } },
+        { new: true }
+    );
+
+    if (!order) {
+        return res.status(404).json({ success: false, error: "Order not found" });
+    }
+
+    res.json({ success: true, order });
+};
+
+router.post("/orders/:id/archive", requireCargoStaff, setArchived(true));
+router.post("/orders/:id/unarchive", requireCargoStaff, setArchived(false));
+
 /* ======================
    ORDER DETAIL
 ====================== */
@@ -105,21 +267,14 @@ router.post("/orders", requireCargoStaff, async (req, res) => {
             });
         }
 
-        const exists = await Order.findOne({ trackingNumber }).select("_id");
-        if (exists) {
+        if (await trackingNumberExists(trackingNumber)) {
             return res.status(409).json({
                 success: false,
                 error: "Tracking already exists",
             });
         }
 
-        let owner = null;
-
-        if (userId && mongoose.Types.ObjectId.isValid(userId)) {
-            owner = await User.findById(userId).select("_id");
-        } else if (userPhone) {
-            owner = await User.findOne({ phone: userPhone }).select("_id");
-        }
+        const owner = await findOrderOwner({ userId, userPhone });
 
         if (!owner) {
             return res.status(400).json({
@@ -132,6 +287,8 @@ router.post("/orders", requireCargoStaff, async (req, res) => {
             userId: owner._id,
             trackingNumber,
             note,
+            statusHistory: [{ status: "CREATED", by: staffId(req) }],
+            lastUpdatedBy: staffId(req),
         });
 
         res.status(201).json({ success: true, order });
@@ -140,6 +297,194 @@ router.post("/orders", requireCargoStaff, async (req, res) => {
     }
 });
 
+/* ======================
+   BULK IMPORT (CSV)
+   columns: trackingNumber,userPhone,weightKg,note
+====================== */
+router.post("/orders/import", requireCargoStaff, importUpload.single("file"), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ success: false, error: "CSV file required (field \"file\")" });
+    }
+
+    const dryRun = req.query.dryRun === "true" || req.body?.dryRun === "true";
+    const records = parseCsvRecords(req.file.buffer.toString("utf8"));
+
+    if (records.length === 0) {
+        return res.status(400).json({ success: false, error: "CSV has no data rows" });
+    }
+    if (records.length > IMPORT_MAX_ROWS) {
+        return res.status(413).json({ success: false, error: `At most ${IMPORT_MAX_ROWS} rows per import` });
+    }
+    if (!("trackingNumber" in records[0].record) || !("userPhone" in records[0].record)) {
+        return res.status(400).json({ success: false, error: "CSV header must include trackingNumber and userPhone" });
+    }
+
+    const by = staffId(req);
+    const seen = new Set();
+    const rows = [];
+
+    for (const { line, record } of records) {
+        const trackingNumber = record.trackingNumber || "";
+        const userPhone = record.userPhone || "";
+        const weightRaw = record.weightKg || "";
+        const weightKg = weightRaw === "" ? null : Number(weightRaw);
+        const row = { line, trackingNumber };
+
+        if (!trackingNumber || !userPhone || (weightKg !== null && (!Number.isFinite(weightKg) || weightKg < 0))) {
+            rows.push({ ...row, result: "invalid", error: "trackingNumber, userPhone and a non-negative weightKg are required" });
+            continue;
+        }
+
+        if (seen.has(trackingNumber) || await trackingNumberExists(trackingNumber)) {
+            rows.push({ ...row, result: "duplicate" });
+            continue;
+        }
+        seen.add(trackingNumber);
+
+        const owner = await findOrderOwner({ userPhone });
+        if (!owner) {
+            rows.push({ ...row, result: "unknown_phone" });
+            continue;
+        }
+
+        if (dryRun) {
+            rows.push({ ...row, result: "valid" });
+            continue;
+        }
+
+        try {
+            const now = new Date();
+            const order = new Order({
+                userId: owner._id,
+                trackingNumber,
+                note: record.note || "",
+                statusHistory: [{ status: "CREATED", by, changedAt: now }],
+                lastUpdatedBy: by,
+            });
+            if (weightKg !== null) {
+                order.weightKg = weightKg;
+                order.weightUpdatedAt = now;
+                await applyTariffPrice(order, { by, now });
+            }
+            await order.save();
+            rows.push({ ...row, result: "created", orderId: order._id });
+        } catch (e) {
+            rows.push({
+                ...row,
+                result: e?.code === 11000 ? "duplicate" : "invalid",
+                ...(e?.code === 11000 ? {} : { error: e.message }),
+            });
+        }
+    }
+
+    const summary = rows.reduce(
+        (acc, row) => ({ ...acc, [row.result]: (acc[row.result] || 0) + 1 }),
+        { total: rows.length }
+    );
+
+    res.status(dryRun ? 200 : 201).json({ success: true, dryRun, summary, rows });
+});
+
+/* ======================
+   BULK STATUS (SCANNER)
+   body: { trackingNumbers: [], status, batchLabel?, note?, cancelReason? }
+====================== */
+router.post("/orders/bulk-status", requireCargoStaff, async (req, res) => {
+    const status = String(req.body?.status || "").trim();
+    const batchLabel =
+        typeof req.body?.batchLabel === "string" ? req.body.batchLabel.trim() : "";
+    const trackingNumbers = parseTrackingNumbers(req.body?.trackingNumbers);
+
+    if (!CARGO_STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, error: "Invalid status" });
+    }
+    if (status === "DELIVERED") {
+        return res.status(400).json({
+            success: false,
+            error: "Orders are delivered only through pickup code verification (POST /pickup)",
+        });
+    }
+    if (trackingNumbers.length === 0) {
+        return res.status(400).json({ success: false, error: "trackingNumbers required" });
+    }
+    if (trackingNumbers.length > BULK_STATUS_MAX) {
+        return res.status(413).json({ success: false, error: `At most ${BULK_STATUS_MAX} tracking numbers per request` });
+    }
+
+    const orders = await Order.find({ trackingNumber: { $in: trackingNumbers } });
+    const byTracking = new Map(orders.map((order) => [order.trackingNumber, order]));
+
+    const now = new Date();
+    const by = staffId(req);
+    const note =
+        [typeof req.body?.note === "string" ? req.body.note.trim() : "", batchLabel ? `Batch ${batchLabel}` : ""]
+            .filter(Boolean)
+            .join(" / ");
+
+    const updated = [];
+    const unchanged = [];
+    const notFound = [];
+    const notEligible = [];
+
+    for (const trackingNumber of trackingNumbers) {
+        const order = byTracking.get(trackingNumber);
+        if (!order || order.isArchived) {
+            notFound.push(trackingNumber);
+            continue;
+        }
+        if (order.shipment && order.status !== status) {
+            notEligible.push({ trackingNumber, status: order.status, error: SHIPMENT_LOCKED_ERROR });
+            continue;
+        }
+
+        const change = applyStatusChange(order, status, {
+            by,
+            cancelReason: req.body?.cancelReason,
+            note,
+            now,
+        });
+        if (!change.ok) {
+            notEligible.push({
+                trackingNumber,
+                status: order.status,
+                error: change.error,
+                ...(change.allowed ? { allowed: change.allowed } : {}),
+            });
+            continue;
+        }
+        if (!change.changed) {
+            unchanged.push(trackingNumber);
+            continue;
+        }
+
+        if (batchLabel) order.batchLabel = batchLabel;
+
+        try {
+            await order.save();
+            updated.push({ trackingNumber, orderId: order._id });
+        } catch (e) {
+            notEligible.push({ trackingNumber, status: order.status, error: e.message });
+        }
+    }
+
+    res.json({
+        success: true,
+        status,
+        batchLabel: batchLabel || undefined,
+        summary: {
+            total: trackingNumbers.length,
+            updated: updated.length,
+            unchanged: unchanged.length,
+            notFound: notFound.length,
+            notEligible: notEligible.length,
+        },
+        updated,
+        unchanged,
+        notFound,
+        notEligible,
+    });
+});
+
 /* ======================
    UPDATE ORDER
 ====================== */
@@ -150,31 +495,550 @@ router.put("/orders/:id", requireCargoStaff, async (req, res) => {
         return res.status(400).json({ success: false, error: "Invalid id" });
     }
 
-    const updates = {};
+    const order = await Order.findById(id);
+
+    if (!order) {
+        return res.status(404).json({ success: false, error: "Order not found" });
+    }
+
+    const now = new Date();
+    const by = staffId(req);
+    let weightChanged = false;
+
+    if (req.body?.weightKg !== undefined) {
+        const weightKg = Number(req.body.weightKg);
+        if (!Number.isFinite(weightKg) || weightKg < 0) {
+            return res.status(400).json({ success: false, error: "Invalid weightKg" });
+        }
+        if (weightKg !== order.weightKg) {
+            order.weightKg = weightKg;
+            order.weightUpdatedAt = now;
+            weightChanged = true;
+        }
+    }
+
+    if (req.body?.dimensions !== undefined) {
+        const dimensions = parseDimensions(req.body.dimensions);
+        if (!dimensions) {
+            return res.status(400).json({ success: false, error: "Invalid dimensions" });
+        }
+        order.dimensions = dimensions;
+        weightChanged = true;
+    }
 
-    if (typeof req.body?.weightKg === "number") updates.weightKg = req.body.weightKg;
-    if (typeof req.body?.price === "number") updates.price = req.body.price;
-    if (typeof req.body?.note === "string") updates.note = req.body.note.trim();
+    if (typeof req.body?.note === "string") order.note = req.body.note.trim();
 
     if (req.body?.status) {
         const nextStatus = String(req.body.status).trim();
-        if (!ALLOWED_STATUSES.has(nextStatus)) {
-            return res.status(400).json({ success: false, error: "Invalid status" });
+        if (order.shipment && order.status !== nextStatus) {
+            return res.status(409).json({ success: false, error: SHIPMENT_LOCKED_ERROR });
+        }
+        const change = applyStatusChange(order, nextStatus, {
+            by,
+            cancelReason: req.body?.cancelReason,
+            note: req.body?.statusNote,
+            now,
+        });
+        if (!change.ok) {
+            return res.status(change.status).json({
+                success: false,
+                error: change.error,
+                ...(change.allowed ? { allowed: change.allowed } : {}),
+            });
         }
-        updates.status = nextStatus;
     }
 
-    const order = await Order.findByIdAndUpdate(
-        id,
-        { $set: updates },
-        { new: true }
-    ).populate("userId", "phone name role");
+    // An explicit price is a manual override and sticks until resetPriceOverride
+    let priced = null;
+    if (req.body?.price !== undefined) {
+        const price = Number(req.body.price);
+        if (!Number.isFinite(price) || price < 0) {
+            return res.status(400).json({ success: false, error: "Invalid price" });
+        }
+        const reason =
+            typeof req.body?.priceReason === "string" ? req.body.priceReason.trim() : "";
+
+        order.price = price;
+        order.priceUpdatedAt = now;
+        order.priceOverride = { by, at: now, reason: reason || undefined };
+        order.priceAudit.push({ price, source: "manual", by, reason: reason || undefined, changedAt: now });
+    } else if (req.body?.resetPriceOverride === true || (weightChanged && !order.priceOverride?.at)) {
+        order.priceOverride = undefined;
+        priced = await applyTariffPrice(order, { by, now });
+    }
+
+    order.lastUpdatedBy = by;
+    await order.save();
+    await order.populate("userId", "phone name role");
 
+    // The pickup code is for the customer only; staff verify it at the counter
+    const body = order.toObject();
+    delete body.pickupCode;
+
+    res.json({
+        success: true,
+        order: body,
+        ...(priced === false ? { warning: "No active tariff for this route; price unchanged" } : {}),
+    });
+});
+
+/* ======================
+   PICKUP (COUNTER)
+   body: { code, trackingNumber? | phone?, allowUnpaid? }
+====================== */
+const codesMatch = (expected, given) => {
+    const a = Buffer.from(String(expected || ""));
+    const b = Buffer.from(String(given || ""));
+    return a.length > 0 && a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+router.post("/pickup", requireCargoStaff, async (req, res) => {
+    const code = String(req.body?.code || "").trim();
+    const trackingNumber = String(req.body?.trackingNumber || "").trim();
+    const phone = String(req.body?.phone || "").trim();
+
+    if (!code || (!trackingNumber && !phone)) {
+        return res.status(400).json({ success: false, error: "code and trackingNumber or phone required" });
+    }
+
+    const filter = { status: "ARRIVED", isArchived: { $ne: true } };
+    if (trackingNumber) {
+        filter.trackingNumber = trackingNumber;
+    }
+    if (phone) {
+        const users = await User.find({ phone: { $in: phoneCandidates(phone) } }).select("_id").lean();
+        filter.userId = { $in: users.map((user) => user._id) };
+    }
+
+    const candidates = await Order.find(filter).select("+pickupCode");
+    const order = candidates.find((candidate) => codesMatch(candidate.pickupCode, code));
+
+    // Same answer for a wrong code and an unknown parcel so the counter cannot be used to probe
     if (!order) {
-        return res.status(404).json({ success: false, error: "Order not found" });
+        return res.status(404).json({ success: false, error: "No arrived order matches this pickup code" });
     }
 
-    res.json({ success: true, order });
+    // Validate and build the history entry on the document, then apply it atomically below
+    const now = new Date();
+    const by = staffId(req);
+    await refreshStorageFee(order, now);
+    const change = applyStatusChange(order, "DELIVERED", {
+        by,
+        note: "Picked up at counter",
+        handover: true,
+        allowUnpaid: req.body?.allowUnpaid === true,
+        now,
+    });
+    if (!change.ok) {
+        return res.status(change.status).json({
+            success: false,
+            error: change.error,
+            ...(change.amountDue ? { amountDue: change.amountDue } : {}),
+        });
+    }
+
+    // Conditional on the code still being live so two counters cannot hand over the same parcel
+    const saved = await Order.findOneAndUpdate(
+        { _id: order._id, status: "ARRIVED", pickupCode: code },
+        {
+            $set: {
+                status: order.status,
+                arrivedAt: order.arrivedAt,
+                storageFee: order.storageFee,
+                storageFeeDays: order.storageFeeDays,
+                storageFeeUpdatedAt: now,
+                pickedUpAt: now,
+                handedOverBy: by,
+                lastUpdatedBy: by,
+            },
+            $push: { statusHistory: order.statusHistory[order.statusHistory.length - 1].toObject() },
+            $unset: { pickupCode: "" },
+        },
+        { new: true }
+    ).populate("userId", "phone name");
+
+    if (!saved) {
+        return res.status(409).json({ success: false, error: "Order was already handed over" });
+    }
+
+    res.json({ success: true, order: saved });
+});
+
+/* ======================
+   UNCLAIMED PARCELS (STORAGE)
+====================== */
+router.get("/storage/overdue", requireCargoStaff, async (req, res) => {
+    const report = await overdueStorageReport();
+    res.json({ success: true, report });
+});
+
+/* ======================
+   PAYMENTS & BALANCES
+   body: { orderIds: [] | trackingNumbers: [], amount, method, reference?, note? }
+====================== */
+router.post("/payments", requireCargoStaff, async (req, res) => {
+    const amount = Number(req.body?.amount);
+    const method = String(req.body?.method || "").trim();
+    const reference = typeof req.body?.reference === "string" ? req.body.reference.trim() : "";
+    const note = typeof req.body?.note === "string" ? req.body.note.trim() : "";
+
+    if (!Number.isFinite(amount) || amount <= 0) {
+        return res.status(400).json({ success: false, error: "Invalid amount" });
+    }
+
+    const orderIds = Array.isArray(req.body?.orderIds) ? req.body.orderIds.map(String) : [];
+    const trackingNumbers = parseTrackingNumbers(req.body?.trackingNumbers);
+    if (orderIds.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+        return res.status(400).json({ success: false, error: "Invalid order id" });
+    }
+    if (orderIds.length === 0 && trackingNumbers.length === 0) {
+        return res.status(400).json({ success: false, error: "orderIds or trackingNumbers required" });
+    }
+
+    const keys = orderIds.length > 0 ? orderIds : trackingNumbers;
+    const field = orderIds.length > 0 ? "_id" : "trackingNumber";
+    // The sweep may be up to an interval behind; charge storage as of now
+    await accrueStorageFees(new Date(), { [field]: { $in: keys } });
+    const found = await Order.find({ [field]: { $in: keys } });
+    const byKey = new Map(found.map((order) => [String(order[field]), order]));
+    const missing = keys.filter((key) => !byKey.has(key));
+    if (missing.length > 0) {
+        return res.status(404).json({ success: false, error: "Order not found", missing });
+    }
+
+    // Allocate in the order staff listed the parcels
+    const orders = [...new Set(keys)].map((key) => byKey.get(key));
+    const result = await recordPayment({ orders, amount, method, reference, note, by: staffId(req) });
+    if (!result.ok) {
+        return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    res.status(201).json({ success: true, payment: result.payment });
+});
+
+router.get("/payments", requireCargoStaff, async (req, res) => {
+    const filter = {};
+    if (typeof req.query.userId === "string" && mongoose.Types.ObjectId.isValid(req.query.userId)) {
+        filter.userId = req.query.userId;
+    }
+    if (typeof req.query.orderId === "string" && mongoose.Types.ObjectId.isValid(req.query.orderId)) {
+        filter["allocations.order"] = req.query.orderId;
+    }
+
+    const payments = await CargoPayment.find(filter)
+        .populate("userId", "phone name")
+        .sort({ receivedAt: -1 })
+        .limit(Math.min(toPositiveInt(req.query.limit, 50), 200));
+
+    res.json({ success: true, payments });
+});
+
+router.get("/balances/:userId", requireCargoStaff, async (req, res) => {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({ success: false, error: "Invalid id" });
+    }
+
+    const user = await User.findById(userId).select("phone name").lean();
+    if (!user) {
+        return res.status(404).json({ success: false, error: "User not found" });
+    }
+
+    await accrueStorageFees(new Date(), { userId });
+    const balance = await getCustomerBalance(userId);
+    res.json({ success: true, user, balance });
+});
+
+/* ======================
+   SHIPMENTS (CONSOLIDATION)
+====================== */
+const parseDateField = (value) => {
+    if (value === null || value === "") return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+const parseShipmentInput = (body, { partial = false } = {}) => {
+    const out = {};
+
+    if (!partial || body?.code !== undefined) {
+        const code = String(body?.code || "").trim().toUpperCase();
+        if (!code) return { error: "code required" };
+        out.code = code;
+    }
+
+    for (const field of ["fromCountry", "toCountry"]) {
+        if (body?.[field] === undefined) continue;
+        const country = String(body[field] || "").trim().toUpperCase();
+        if (!/^[A-Z]{2}$/.test(country)) return { error: `${field} must be a 2-letter code` };
+        out[field] = country;
+    }
+
+    for (const field of ["departureDate", "arrivalDate"]) {
+        if (body?.[field] === undefined) continue;
+        const date = parseDateField(body[field]);
+        if (date === undefined) return { error: `Invalid ${field}` };
+        out[field] = date;
+    }
+
+    if (typeof body?.carrier === "string") out.carrier = body.carrier.trim();
+    if (typeof body?.note === "string") out.note = body.note.trim();
+
+    return { value: out };
+};
+
+const loadShipment = async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        res.status(400).json({ success: false, error: "Invalid id" });
+        return null;
+    }
+
+    const shipment = await Shipment.findById(id);
+    if (!shipment) {
+        res.status(404).json({ success: false, error: "Shipment not found" });
+        return null;
+    }
+    return shipment;
+};
+
+router.get("/shipments", requireCargoStaff, async (req, res) => {
+    const filter = {};
+    if (typeof req.query.status === "string" && req.query.status) {
+        filter.status = req.query.status.trim().toUpperCase();
+    }
+
+    const shipments = await Shipment.find(filter).sort({ createdAt: -1 }).lean();
+    res.json({
+        success: true,
+        shipments: shipments.map(({ orders, ...shipment }) => ({ ...shipment, orderCount: orders.length })),
+    });
+});
+
+router.post("/shipments", requireCargoStaff, async (req, res) => {
+    const parsed = parseShipmentInput(req.body);
+    if (parsed.error) {
+        return res.status(400).json({ success: false, error: parsed.error });
+    }
+
+    try {
+        const by = staffId(req);
+        const shipment = await Shipment.create({
+            ...parsed.value,
+            statusHistory: [{ status: "OPEN", by }],
+            createdBy: by,
+            lastUpdatedBy: by,
+        });
+        res.status(201).json({ success: true, shipment });
+    } catch (e) {
+        if (e?.code === 11000) {
+            return res.status(409).json({ success: false, error: "Shipment code already exists" });
+        }
+        res.status(500).json({ success: false, error: e.message });
+    }
+});
+
+router.get("/shipments/:id", requireCargoStaff, async (req, res) => {
+    const shipment = await loadShipment(req, res);
+    if (!shipment) return;
+
+    await shipment.populate({
+        path: "orders",
+        select: "trackingNumber status weightKg userId",
+        populate: { path: "userId", select: "phone name" },
+    });
+    res.json({ success: true, shipment });
+});
+
+router.put("/shipments/:id", requireCargoStaff, async (req, res) => {
+    const shipment = await loadShipment(req, res);
+    if (!shipment) return;
+
+    const parsed = parseShipmentInput(req.body, { partial: true });
+    if (parsed.error) {
+        return res.status(400).json({ success: false, error: parsed.error });
+    }
+
+    try {
+        shipment.set({ ...parsed.value, lastUpdatedBy: staffId(req) });
+        await shipment.save();
+        res.json({ success: true, shipment });
+    } catch (e) {
+        if (e?.code === 11000) {
+            return res.status(409).json({ success: false, error: "Shipment code already exists" });
+        }
+        res.status(500).json({ success: false, error: e.message });
+    }
+});
+
+router.post("/shipments/:id/orders", requireCargoStaff, async (req, res) => {
+    const shipment = await loadShipment(req, res);
+    if (!shipment) return;
+
+    const trackingNumbers = parseTrackingNumbers(req.body?.trackingNumbers);
+    if (trackingNumbers.length === 0) {
+        return res.status(400).json({ success: false, error: "trackingNumbers required" });
+    }
+    if (trackingNumbers.length > BULK_STATUS_MAX) {
+        return res.status(413).json({ success: false, error: `At most ${BULK_STATUS_MAX} tracking numbers per request` });
+    }
+
+    const result = await addOrdersToShipment(shipment, trackingNumbers, { by: staffId(req) });
+    if (!result.ok) {
+        return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    const { ok, ...body } = result;
+    res.json({ success: true, ...body });
+});
+
+router.delete("/shipments/:id/orders", requireCargoStaff, async (req, res) => {
+    const shipment = await loadShipment(req, res);
+    if (!shipment) return;
+
+    const trackingNumbers = parseTrackingNumbers(req.body?.trackingNumbers);
+    if (trackingNumbers.length === 0) {
+        return res.status(400).json({ success: false, error: "trackingNumbers required" });
+    }
+
+    const result = await removeOrdersFromShipment(shipment, trackingNumbers, { by: staffId(req) });
+    if (!result.ok) {
+        return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    const { ok, ...body } = result;
+    res.json({ success: true, ...body });
+});
+
+router.put("/shipments/:id/status", requireCargoStaff, async (req, res) => {
+    const shipment = await loadShipment(req, res);
+    if (!shipment) return;
+
+    const status = String(req.body?.status || "").trim().toUpperCase();
+    const result = await changeShipmentStatus(shipment, status, { by: staffId(req) });
+    if (!result.ok) {
+        return res.status(result.status).json({
+            success: false,
+            error: result.error,
+            ...(result.allowed ? { allowed: result.allowed } : {}),
+        });
+    }
+
+    const { ok, ...body } = result;
+    res.json({ success: true, ...body });
+});
+
+router.get("/shipments/:id/manifest", requireCargoStaff, async (req, res) => {
+    const shipment = await loadShipment(req, res);
+    if (!shipment) return;
+
+    const manifest = await buildManifest(shipment);
+    res.json({ success: true, manifest });
+});
+
+/* ======================
+   TARIFFS (ADMIN)
+====================== */
+const parseTariffInput = (body, { partial = false } = {}) => {
+    const out = {};
+    const numberFields = ["ratePerKg", "minCharge", "volumetricDivisor", "storageFreeDays", "storageFeePerDay"];
+
+    if (!partial || body?.fromCountry !== undefined) {
+        const from = String(body?.fromCountry || "").trim().toUpperCase();
+        if (!/^[A-Z]{2}$/.test(from)) return { error: "fromCountry must be a 2-letter code" };
+        out.fromCountry = from;
+    }
+    if (!partial || body?.toCountry !== undefined) {
+        const to = String(body?.toCountry || "").trim().toUpperCase();
+        if (!/^[A-Z]{2}$/.test(to)) return { error: "toCountry must be a 2-letter code" };
+        out.toCountry = to;
+    }
+
+    for (const field of numberFields) {
+        if (body?.[field] === undefined) {
+            if (!partial && field === "ratePerKg") return { error: "ratePerKg required" };
+            continue;
+        }
+        const value = Number(body[field]);
+        if (!Number.isFinite(value) || value < 0 || (field === "volumetricDivisor" && value === 0)) {
+            return { error: `Invalid ${field}` };
+        }
+        out[field] = value;
+    }
+
+    if (typeof body?.currency === "string") out.currency = body.currency.trim();
+    if (typeof body?.note === "string") out.note = body.note.trim();
+    if (typeof body?.active === "boolean") out.active = body.active;
+
+    return { value: out };
+};
+
+router.get("/tariffs", requireCargoStaff, async (req, res) => {
+    const tariffs = await CargoTariff.find().sort({ fromCountry: 1, toCountry: 1 });
+    res.json({ success: true, tariffs });
+});
+
+router.post("/tariffs", requireCargoStaff, requireCargoAdmin, async (req, res) => {
+    const parsed = parseTariffInput(req.body);
+    if (parsed.error) {
+        return res.status(400).json({ success: false, error: parsed.error });
+    }
+
+    try {
+        const tariff = await CargoTariff.create({ ...parsed.value, updatedBy: staffId(req) });
+        res.status(201).json({ success: true, tariff });
+    } catch (e) {
+        if (e?.code === 11000) {
+            return res.status(409).json({ success: false, error: "Tariff for this route already exists" });
+        }
+        res.status(500).json({ success: false, error: e.message });
+    }
+});
+
+router.put("/tariffs/:id", requireCargoStaff, requireCargoAdmin, async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ success: false, error: "Invalid id" });
+    }
+
+    const parsed = parseTariffInput(req.body, { partial: true });
+    if (parsed.error) {
+        return res.status(400).json({ success: false, error: parsed.error });
+    }
+
+    try {
+        const tariff = await CargoTariff.findByIdAndUpdate(
+            id,
+            { $set: { ...parsed.value, updatedBy: staffId(req) } },
+            { new: true }
+        );
+        if (!tariff) {
+            return res.status(404).json({ success: false, error: "Tariff not found" });
+        }
+        res.json({ success: true, tariff });
+    } catch (e) {
+        if (e?.code === 11000) {
+            return res.status(409).json({ success: false, error: "Tariff for this route already exists" });
+        }
+        res.status(500).json({ success: false, error: e.message });
+    }
+});
+
+router.delete("/tariffs/:id", requireCargoStaff, requireCargoAdmin, async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ success: false, error: "Invalid id" });
+    }
+
+    const tariff = await CargoTariff.findByIdAndDelete(id);
+    if (!tariff) {
+        return res.status(404).json({ success: false, error: "Tariff not found" });
+    }
+    res.json({ success: true });
 });
 
 module.exports = router;
@@ -1,3 +1,4 @@
+const crypto = require("crypto");
 const express = require("express");
 const bcrypt = require("bcryptjs");
 const mongoose = require("mongoose");
@@ -8,7 +9,12 @@ const User = require("../models/User");
 const Location = require("../models/Location");
 const Artist = require("../models/Artist");
 const Booking = require("../models/Booking");
+const ScheduleTemplate = require("../models/ScheduleTemplate");
+const Service = require("../models/Service");
 const { ensureAdminUser, normalizeAdminPhone } = require("../services/admin-setup");
+const { cancelBooking, createBooking, rescheduleBooking } = require("../services/booking");
+const { generateAvailability } = require("../services/schedule");
+const { isValidTimeZone } = require("../lib/timezone");
 
 const router = express.Router();
 
@@ -57,6 +63,142 @@ const toAdminArtistDto = (artistDoc) => ({
     active: artistDoc.active,
 });
 
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const parseWeeklyHours = (input) => {
+    if (!Array.isArray(input)) {
+        return { ok: false, error: "Долоо хоногийн цагийн хуваарь буруу байна." };
+    }
+
+    const weeklyHours = [];
+    for (const range of input) {
+        const weekday = Number(range?.weekday);
+        const slotMinutes = Number(range?.slotMinutes);
+        const { start, end } = range || {};
+
+        if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+            return { ok: false, error: "Гарагийн утга 0-6 хооронд байх ёстой." };
+        }
+        if (!TIME_PATTERN.test(String(start)) || !TIME_PATTERN.test(String(end)) || start >= end) {
+            return { ok: false, error: "Эхлэх, дуусах цаг буруу байна." };
+        }
+        if (!Number.isInteger(slotMinutes) || slotMinutes < 5) {
+            return { ok: false, error: "Цагийн интервал буруу байна." };
+        }
+
+        weeklyHours.push({ weekday, start, end, slotMinutes });
+    }
+
+    return { ok: true, value: weeklyHours };
+};
+
+const parseExceptions = (input) => {
+    if (!Array.isArray(input)) {
+        return { ok: false, error: "Амралтын өдрүүдийн жагсаалт буруу байна." };
+    }
+
+    const exceptions = [];
+    for (const exception of input) {
+        const { startDate, endDate = startDate, reason } = exception || {};
+        if (!DATE_PATTERN.test(String(startDate)) || !DATE_PATTERN.test(String(endDate)) || startDate > endDate) {
+            return { ok: false, error: "Амралтын хугацааны огноо буруу байна." };
+        }
+        exceptions.push({ startDate, endDate, reason: typeof reason === "string" ? reason.trim() : undefined });
+    }
+
+    return { ok: true, value: exceptions };
+};
+
+const MAX_HORIZON_DAYS = 120;
+
+// Number of days to generate ahead: a whole number from 1 to MAX_HORIZON_DAYS
+const parseHorizonDays = (input) => {
+    const days = Number(input);
+    if (input === "" || input === null || !Number.isInteger(days) || days < 1 || days > MAX_HORIZON_DAYS) {
+        return { ok: false, error: `Хоногийн тоо 1-${MAX_HORIZON_DAYS} хооронд бүхэл тоо байна.` };
+    }
+    return { ok: true, value: days };
+};
+
+const toScheduleTemplateDto = (templateDoc) => ({
+    id: templateDoc._id.toString(),
+    artist: templateDoc.artist && templateDoc.artist._id
+        ? { id: templateDoc.artist._id.toString(), name: templateDoc.artist.name }
+        : { id: templateDoc.artist?.toString?.() ?? "", name: "" },
+    location: templateDoc.location && templateDoc.location._id
+        ? { id: templateDoc.location._id.toString(), name: templateDoc.location.name }
+        : { id: templateDoc.location?.toString?.() ?? "", name: "" },
+    weeklyHours: templateDoc.weeklyHours || [],
+    exceptions: (templateDoc.exceptions || []).map((exception) => ({
+        id: exception._id?.toString?.() ?? null,
+        startDate: exception.startDate,
+        endDate: exception.endDate,
+        reason: exception.reason || null,
+    })),
+    horizonDays: templateDoc.horizonDays,
+    active: templateDoc.active,
+    lastGeneratedAt: templateDoc.lastGeneratedAt || null,
+});
+
+const toAdminServiceDto = (serviceDoc) => {
+    const toRef = (ref) => (
+        ref && ref._id
+            ? { id: ref._id.toString(), name: ref.name }
+            : { id: ref?.toString?.() ?? "", name: "" }
+    );
+
+    return {
+        id: serviceDoc._id.toString(),
+        name: serviceDoc.name,
+        description: serviceDoc.description || null,
+        durationMinutes: serviceDoc.durationMinutes,
+        price: serviceDoc.price,
+        artists: Array.isArray(serviceDoc.artists) ? serviceDoc.artists.map(toRef) : [],
+        locations: Array.isArray(serviceDoc.locations) ? serviceDoc.locations.map(toRef) : [],
+        order: serviceDoc.order ?? 0,
+        active: serviceDoc.active,
+    };
+};
+
+const toAdminBookingDto = (bookingDoc) => ({
+    id: bookingDoc._id.toString(),
+    status: bookingDoc.status,
+    source: bookingDoc.source || "online",
+    date: bookingDoc.date,
+    time: bookingDoc.time,
+    slotTimes: Array.isArray(bookingDoc.slotTimes) && bookingDoc.slotTimes.length ? bookingDoc.slotTimes : [bookingDoc.time],
+    customer: {
+        userId: bookingDoc.user?._id?.toString?.() ?? bookingDoc.user?.toString?.() ?? null,
+        name: bookingDoc.customer?.name || null,
+        phone: bookingDoc.customer?.phone || null,
+    },
+    location: bookingDoc.location && bookingDoc.location._id
+        ? { id: bookingDoc.location._id.toString(), name: bookingDoc.location.name }
+        : { id: bookingDoc.location?.toString?.() ?? "", name: "" },
+    artist: bookingDoc.artist && bookingDoc.artist._id
+        ? { id: bookingDoc.artist._id.toString(), name: bookingDoc.artist.name }
+        : { id: bookingDoc.artist?.toString?.() ?? "", name: "" },
+    service: bookingDoc.service
+        ? { id: bookingDoc.service._id?.toString?.() ?? bookingDoc.service.toString(), name: bookingDoc.serviceName || "" }
+        : null,
+    price: bookingDoc.price ?? null,
+    notes: bookingDoc.notes || null,
+    staffNotes: (bookingDoc.staffNotes || []).map((note) => ({
+        id: note._id?.toString?.() ?? null,
+        text: note.text,
+        by: note.by?.toString?.() ?? null,
+        createdAt: note.createdAt || null,
+    })),
+    cancelReason: bookingDoc.cancelReason || null,
+    cancelledAt: bookingDoc.cancelledAt || null,
+    statusChangedAt: bookingDoc.statusChangedAt || null,
+    createdAt: bookingDoc.createdAt || null,
+});
+
+const BOOKING_STATUSES = new Set(["confirmed", "cancelled", "completed", "no_show"]);
+const BOOKING_OUTCOME_STATUSES = new Set(["completed", "no_show"]);
+
 router.post("/login", async (req, res) => {
     const phone = normalizeAdminPhone(req.body?.phone);
     const password = typeof req.body?.password === "string" ? req.body.password : "";
@@ -125,12 +267,16 @@ router.get("/locations", async (req, res) => {
 });
 
 router.post("/locations", async (req, res) => {
-    const { name, city, district, address, phone, workingHours, description } = req.body || {};
+    const { name, city, district, address, phone, workingHours, description, timezone } = req.body || {};
 
     if (!name) {
         return res.status(400).json({ success: false, error: "Салоны нэрийг заавал оруулна уу." });
     }
 
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+        return res.status(400).json({ success: false, error: "Цагийн бүс буруу байна." });
+    }
+
     try {
         const slug = slugify(name);
         const location = await Location.create({
@@ -141,6 +287,7 @@ router.post("/locations", async (req, res) => {
             address,
             phone,
             workingHours,
+            timezone,
             description,
         });
 
@@ -157,17 +304,22 @@ router.put("/locations/:locationId", async (req, res) => {
         return res.status(400).json({ success: false, error: "Салон ID буруу байна." });
     }
 
-    const updates = (({ name, city, district, address, phone, workingHours, description, active }) => ({
+    const updates = (({ name, city, district, address, phone, workingHours, timezone, description, active }) => ({
         name,
         city,
         district,
         address,
         phone,
         workingHours,
+        timezone,
         description,
         active,
     }))(req.body || {});
 
+    if (updates.timezone !== undefined && !isValidTimeZone(updates.timezone)) {
+        return res.status(400).json({ success: false, error: "Цагийн бүс буруу байна." });
+    }
+
     if (updates.name) {
         updates.slug = slugify(updates.name);
     }
@@ -334,11 +486,571 @@ router.post("/artists/:artistId/locations", async (req, res) => {
     }
 });
 
+router.get("/services", async (req, res) => {
+    try {
+        const services = await Service.find({}).sort({ order: 1, name: 1 }).populate(["artists", "locations"]);
+        return res.json({ success: true, services: services.map(toAdminServiceDto) });
+    } catch (err) {
+        return res.status(500).json({ success: false, error: "Үйлчилгээнүүдийг ачаалахад алдаа гарлаа.", details: err.message });
+    }
+});
+
+router.post("/services", async (req, res) => {
+    const { name, description, artistIds, locationIds, order, active = true } = req.body || {};
+    const durationMinutes = Number(req.body?.durationMinutes);
+    const price = Number(req.body?.price);
+
+    if (!name) {
+        return res.status(400).json({ success: false, error: "Үйлчилгээний нэр шаардлагатай." });
+    }
+
+    if (!Number.isInteger(durationMinutes) || durationMinutes < 5) {
+        return res.status(400).json({ success: false, error: "Үргэлжлэх хугацаа буруу байна." });
+    }
+
+    if (!Number.isFinite(price) || price < 0) {
+        return res.status(400).json({ success: false, error: "Үнэ буруу байна." });
+    }
+
+    const validArtists = Array.isArray(artistIds)
+        ? artistIds.filter((id) => typeof id === "string" && isValidObjectId(id))
+        : [];
+    const validLocations = Array.isArray(locationIds)
+        ? locationIds.filter((id) => typeof id === "string" && isValidObjectId(id))
+        : [];
+
+    try {
+        const service = await Service.create({
+            name,
+            description,
+            durationMinutes,
+            price,
+            artists: validArtists,
+            locations: validLocations,
+            order,
+            active,
+        });
+        await service.populate(["artists", "locations"]);
+        return res.status(201).json({ success: true, service: toAdminServiceDto(service) });
+    } catch (err) {
+        return res.status(500).json({ success: false, error: "Үйлчилгээ нэмэхэд алдаа гарлаа.", details: err.message });
+    }
+});
+
+router.put("/services/:serviceId", async (req, res) => {
+    const { serviceId } = req.params;
+
+    if (!isValidObjectId(serviceId)) {
+        return res.status(400).json({ success: false, error: "Үйлчилгээний ID буруу байна." });
+    }
+
+    const { name, description, order, active, artistIds, locationIds } = req.body || {};
+    const updates = { name, description, order, active };
+
+    if (req.body?.durationMinutes !== undefined) {
+        const durationMinutes = Number(req.body.durationMinutes);
+        if (!Number.isInteger(durationMinutes) || durationMinutes < 5) {
+            return res.status(400).json({ success: false, error: "Үргэлжлэх хугацаа буруу байна." });
+        }
+        updates.durationMinutes = durationMinutes;
+    }
+
+    if (req.body?.price !== undefined) {
+        const price = Number(req.body.price);
+        if (!Number.isFinite(price) || price < 0) {
+            return res.status(400).json({ success: false, error: "Үнэ буруу байна." });
+        }
+        updates.price = price;
+    }
+
+    if (Array.isArray(artistIds)) {
+        updates.artists = artistIds.filter((id) => typeof id === "string" && isValidObjectId(id));
+    }
+    if (Array.isArray(locationIds)) {
+        updates.locations = locationIds.filter((id) => typeof id === "string" && isValidObjectId(id));
+    }
+
+    try {
+        const service = await Service.findByIdAndUpdate(serviceId, updates, { new: true, runValidators: true })
+            .populate(["artists", "locations"]);
+        if (!service) {
+            return res.status(404).json({ success: false, error: "Үйлчилгээ олдсонгүй." });
+        }
+        return res.json({ success: true, service: toAdminServiceDto(service) });
+    } catch (err) {
+        if (err?.name === "ValidationError") {
+            return res.status(400).json({ success: false, error: "Үйлчилгээний мэдээлэл буруу байна.", details: err.message });
+        }
+        return res.status(500).json({ success: false, error: "Үйлчилгээ шинэчлэхэд алдаа гарлаа.", details: err.message });
+    }
+});
+
+router.delete("/services/:serviceId", async (req, res) => {
+    const { serviceId } = req.params;
+
+    if (!isValidObjectId(serviceId)) {
+        return res.status(400).json({ success: false, error: "Үйлчилгээний ID буруу байна." });
+    }
+
+    try {
+        const existingBookings = await Booking.countDocuments({ service: serviceId });
+        if (existingBookings > 0) {
+            return res.status(409).json({ success: false, error: "Энэ үйлчилгээ захиалгатай тул идэвхгүй болгоно уу." });
+        }
+
+        await Service.findByIdAndDelete(serviceId);
+        return res.json({ success: true });
+    } catch (err) {
+        return res.status(500).json({ success: false, error: "Үйлчилгээ устгахад алдаа гарлаа.", details: err.message });
+    }
+});
+
+router.get("/schedule-templates", async (req, res) => {
+    const filter = {};
+    if (typeof req.query.artistId === "string" && isValidObjectId(req.query.artistId)) {
+        filter.artist = req.query.artistId;
+    }
+    if (typeof req.query.locationId === "string" && isValidObjectId(req.query.locationId)) {
+        filter.location = req.query.locationId;
+    }
+
+    try {
+        const templates = await ScheduleTemplate.find(filter).populate(["artist", "location"]);
+        return res.json({ success: true, templates: templates.map(toScheduleTemplateDto) });
+    } catch (err) {
+        return res.status(500).json({ success: false, error: "Цагийн хуваарь ачаалахад алдаа гарлаа.", details: err.message });
+    }
+});
+
+router.post("/schedule-templates", async (req, res) => {
+    const { artistId, locationId, horizonDays, active = true } = req.body || {};
+
+    if (!isValidObjectId(artistId)) {
+        return res.status(400).json({ success: false, error: "Артист ID буруу байна." });
+    }
+    if (!isValidObjectId(locationId)) {
+        return res.status(400).json({ success: false, error: "Салон ID буруу байна." });
+    }
+
+    const weeklyHours = parseWeeklyHours(req.body?.weeklyHours);
+    if (!weeklyHours.ok) {
+        return res.status(400).json({ success: false, error: weeklyHours.error });
+    }
+
+    const exceptions = parseExceptions(req.body?.exceptions ?? []);
+    if (!exceptions.ok) {
+        return res.status(400).json({ success: false, error: exceptions.error });
+    }
+
+    const horizon = horizonDays === undefined ? null : parseHorizonDays(horizonDays);
+    if (horizon && !horizon.ok) {
+        return res.status(400).json({ success: false, error: horizon.error });
+    }
+
+    try {
+        const artist = await Artist.findOne({ _id: artistId, locations: locationId }).select("_id");
+        if (!artist) {
+            return res.status(404).json({ success: false, error: "Энэ салонд сонгосон артист олдсонгүй." });
+        }
+
+        const template = await ScheduleTemplate.create({
+            artist: artistId,
+            location: locationId,
+            weeklyHours: weeklyHours.value,
+            exceptions: exceptions.value,
+            horizonDays: horizon?.value,
+            active,
+        });
+        await template.populate(["artist", "location"]);
+        return res.status(201).json({ success: true, template: toScheduleTemplateDto(template) });
+    } catch (err) {
+        if (err?.code === 11000) {
+            return res.status(409).json({ success: false, error: "Энэ артистын салон дахь хуваарь аль хэдийн үүссэн байна." });
+        }
+        return res.status(500).json({ success: false, error: "Цагийн хуваарь үүсгэхэд алдаа гарлаа.", details: err.message });
+    }
+});
+
+router.put("/schedule-templates/:templateId", async (req, res) => {
+    const { templateId } = req.params;
+
+    if (!isValidObjectId(templateId)) {
+        return res.status(400).json({ success: false, error: "Хуваарийн ID буруу байна." });
+    }
+
+    const updates = {};
+    if (req.body?.weeklyHours !== undefined) {
+        const weeklyHours = parseWeeklyHours(req.body.weeklyHours);
+        if (!weeklyHours.ok) {
+            return res.status(400).json({ success: false, error: weeklyHours.error });
+        }
+        updates.weeklyHours = weeklyHours.value;
+    }
+    if (req.body?.exceptions !== undefined) {
+        const exceptions = parseExceptions(req.body.exceptions);
+        if (!exceptions.ok) {
+            return res.status(400).json({ success: false, error: exceptions.error });
+        }
+        updates.exceptions = exceptions.value;
+    }
+    if (req.body?.horizonDays !== undefined) {
+        const horizon = parseHorizonDays(req.body.horizonDays);
+        if (!horizon.ok) {
+            return res.status(400).json({ success: false, error: horizon.error });
+        }
+        updates.horizonDays = horizon.value;
+    }
+    if (typeof req.body?.active === "boolean") updates.active = req.body.active;
+
+    try {
+        const template = await ScheduleTemplate.findByIdAndUpdate(templateId, updates, { new: true, runValidators: true })
+            .populate(["artist", "location"]);
+        if (!template) {
+            return res.status(404).json({ success: false, error: "Цагийн хуваарь олдсонгүй." });
+        }
+        return res.json({ success: true, template: toScheduleTemplateDto(template) });
+    } catch (err) {
+        return res.status(500).json({ success: false, error: "Цагийн хуваарь шинэчлэхэд алдаа гарлаа.", details: err.message });
+    }
+});
+
+router.delete("/schedule-templates/:templateId", async (req, res) => {
+    const { templateId } = req.params;
+
+    if (!isValidObjectId(templateId)) {
+        return res.status(400).json({ success: false, error: "Хуваарийн ID буруу байна." });
+    }
+
+    try {
+        const template = await ScheduleTemplate.findByIdAndDelete(templateId);
+        if (!template) {
+            return res.status(404).json({ success: false, error: "Цагийн хуваарь олдсонгүй." });
+        }
+        return res.json({ success: true });
+    } catch (err) {
+        return res.status(500).json({ success: false, error: "Цагийн хуваарь устгахад алдаа гарлаа.", details: err.message });
+    }
+});
+
+router.post("/schedule-templates/:templateId/generate", async (req, res) => {
+    const { templateId } = req.params;
+    const fromDate = typeof req.body?.fromDate === "string" && DATE_PATTERN.test(req.body.fromDate)
+        ? req.body.fromDate
+        : undefined;
+    const rawDays = req.body?.days ?? req.body?.horizonDays;
+
+    if (!isValidObjectId(templateId)) {
+        return res.status(400).json({ success: false, error: "Хуваарийн ID буруу байна." });
+    }
+
+    const horizon = rawDays === undefined ? null : parseHorizonDays(rawDays);
+    if (horizon && !horizon.ok) {
+        return res.status(400).json({ success: false, error: horizon.error });
+    }
+    const days = horizon?.value;
+
+    try {
+        const template = await ScheduleTemplate.findById(templateId).lean();
+        if (!template) {
+            return res.status(404).json({ success: false, error: "Цагийн хуваарь олдсонгүй." });
+        }
+
+        const summary = await generateAvailability(template, { fromDate, days });
+        return res.json({ success: true, summary });
+    } catch (err) {
+        return res.status(500).json({ success: false, error: "Сул цаг үүсгэхэд алдаа гарлаа.", details: err.message });
+    }
+});
+
+router.get("/bookings", async (req, res) => {
+    const { locationId, artistId, status, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page || "1", 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit || "20", 10) || 20, 1), 100);
+
+    const filter = {};
+    if (typeof locationId === "string" && isValidObjectId(locationId)) filter.location = locationId;
+    if (typeof artistId === "string" && isValidObjectId(artistId)) filter.artist = artistId;
+    if (typeof status === "string" && BOOKING_STATUSES.has(status)) filter.status = status;
+    if (typeof from === "string" && DATE_PATTERN.test(from)) filter.date = { ...(filter.date || {}), $gte: from };
+    if (typeof to === "string" && DATE_PATTERN.test(to)) filter.date = { ...(filter.date || {}), $lte: to };
+
+    // Exact match on the forms a phone is stored in: "+<digits>" from sign-up and
+    // "+976..." for local numbers entered by staff
+    const phoneDigits = typeof req.query.phone === "string" ? req.query.phone.replace(/\D/g, "") : "";
+    if (phoneDigits) {
+        const localDigits = phoneDigits.length === 11 && phoneDigits.startsWith("976") ? phoneDigits.slice(3) : phoneDigits;
+        filter["customer.phone"] = {
+            $in: Array.from(new Set([`+${phoneDigits}`, `+${localDigits}`, normalizeAdminPhone(localDigits)])),
+        };
+    }
+
+    try {
+        const [bookings, total] = await Promise.all([
+            Booking.find(filter)
+                .sort({ date: -1, time: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate(["location", "artist"]),
+            Booking.countDocuments(filter),
+        ]);
+
+        return res.json({
+            success: true,
+            bookings: bookings.map(toAdminBookingDto),
+            pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+        });
+    } catch (err) {
+        return res.status(500).json({ success: false, error: "Захиалгуудыг ачаалахад алдаа гарлаа.", details: err.message });
+    }
+});
+
+router.get("/bookings/:bookingId", async (req, res) => {
+    const { bookingId } = req.params;
+
+    if (!isValidObjectId(bookingId)) {
+        return res.status(400).json({ success: false, error: "Захиалгын ID буруу байна." });
+    }
+
+    try {
+        const booking = await Booking.findById(bookingId).populate(["location", "artist"]);
+        if (!booking) {
+            return res.status(404).json({ success: false, error: "Захиалга олдсонгүй." });
+        }
+        return res.json({ success: true, booking: toAdminBookingDto(booking) });
+    } catch (err) {
+        return res.status(500).json({ success: false, error: "Захиалга ачаалахад алдаа гарлаа.", details: err.message });
+    }
+});
+
+// Walk-in: staff book on behalf of a customer identified only by phone.
+// The booking links to an existing account with that phone; a new account is
+// only created when staff ask for it with `createAccount: true`.
+router.post("/bookings", async (req, res) => {
+    const { locationId, artistId, serviceId, date, time, notes } = req.body || {};
+    const phone = normalizeAdminPhone(req.body?.phone);
+    const name = typeof req.body?.name === "string" ? req.body.name.trim() : "";
+
+    if (!phone) {
+        return res.status(400).json({ success: false, error: "Утасны дугаараа зөв оруулна уу." });
+    }
+
+    if (!isValidObjectId(locationId)) {
+        return res.status(400).json({ success: false, error: "Салон сонголт буруу байна." });
+    }
+
+    if (!isValidObjectId(artistId)) {
+        return res.status(400).json({ success: false, error: "Артист сонголт буруу байна." });
+    }
+
+    if (serviceId !== undefined && !isValidObjectId(serviceId)) {
+        return res.status(400).json({ success: false, error: "Үйлчилгээ сонголт буруу байна." });
+    }
+
+    if (typeof date !== "string" || !DATE_PATTERN.test(date)) {
+        return res.status(400).json({ success: false, error: "Огноо буруу форматтай байна." });
+    }
+
+    if (typeof time !== "string" || !TIME_PATTERN.test(time)) {
+        return res.status(400).json({ success: false, error: "Цаг буруу форматтай байна." });
+    }
+
+    try {
+        const customerUser = req.body?.createAccount === true
+            ? await User.findOneAndUpdate(
+                { phone },
+                { $setOnInsert: { phone, ...(name ? { name } : {}) } },
+                { upsert: true, new: true, setDefaultsOnInsert: true },
+            )
+            : await User.findOne({ phone });
+
+        const result = await createBooking({
+            locationId,
+            artistId,
+            serviceId,
+            date,
+            time,
+            notes,
+            user: customerUser?._id,
+            customer: { phone, name: name || customerUser?.name || null },
+            source: "walk_in",
+        });
+
+        if (!result.ok) {
+            return res.status(result.status).json({ success: false, error: result.error });
+        }
+
+        await result.booking.populate(["location", "artist"]);
+        return res.status(201).json({ success: true, booking: toAdminBookingDto(result.booking) });
+    } catch (err) {
+        return res.status(500).json({ success: false, error: "Захиалга үүсгэхэд алдаа гарлаа.", details: err.message });
+    }
+});
+
+router.post("/bookings/:bookingId/notes", async (req, res) => {
+    const { bookingId } = req.params;
+    const text = typeof req.body?.text === "string" ? req.body.text.trim() : "";
+
+    if (!isValidObjectId(bookingId)) {
+        return res.status(400).json({ success: false, error: "Захиалгын ID буруу байна." });
+    }
+
+    if (!text) {
+        return res.status(400).json({ success: false, error: "Тэмдэглэл хоосон байна." });
+    }
+
+    try {
+        const booking = await Booking.findByIdAndUpdate(
+            bookingId,
+            { $push: { staffNotes: { text, by: req.admin.adminId } } },
+            { new: true },
+        ).populate(["location", "artist"]);
+        if (!booking) {
+            return res.status(404).json({ success: false, error: "Захиалга олдсонгүй." });
+        }
+        return res.json({ success: true, booking: toAdminBookingDto(booking) });
+    } catch (err) {
+        return res.status(500).json({ success: false, error: "Тэмдэглэл нэмэхэд алдаа гарлаа.", details: err.message });
+    }
+});
+
+router.post("/bookings/:bookingId/status", async (req, res) => {
+    const { bookingId } = req.params;
+    const status = typeof req.body?.status === "string" ? req.body.status.trim() : "";
+
+    if (!isValidObjectId(bookingId)) {
+        return res.status(400).json({ success: false, error: "Захиалгын ID буруу байна." });
+    }
+
+    if (!BOOKING_OUTCOME_STATUSES.has(status)) {
+        return res.status(400).json({ success: false, error: "Төлөв буруу байна." });
+    }
+
+    try {
+        const booking = await Booking.findOneAndUpdate(
+            { _id: bookingId, status: "confirmed" },
+            { $set: { status, statusChangedAt: new Date(), statusChangedBy: req.admin.adminId } },
+            { new: true },
+        ).populate(["location", "artist"]);
+
+        if (!booking) {
+            const exists = await Booking.exists({ _id: bookingId });
+            return exists
+                ? res.status(409).json({ success: false, error: "Зөвхөн баталгаажсан захиалгын төлөвийг өөрчлөх боломжтой." })
+                : res.status(404).json({ success: false, error: "Захиалга олдсонгүй." });
+        }
+
+        return res.json({ success: true, booking: toAdminBookingDto(booking) });
+    } catch (err) {
+        return res.status(500).json({ success: false, error: "Захиалгын төлөв өөрчлөхөд алдаа гарлаа.", details: err.message });
+    }
+});
+
+router.post("/bookings/:bookingId/cancel", async (req, res) => {
+    const { bookingId } = req.params;
+
+    if (!isValidObjectId(bookingId)) {
+        return res.status(400).json({ success: false, error: "Захиалгын ID буруу байна." });
+    }
+
+    try {
+        const booking = await Booking.findById(bookingId);
+        if (!booking) {
+            return res.status(404).json({ success: false, error: "Захиалга олдсонгүй." });
+        }
+
+        const result = await cancelBooking(booking, { cancelledBy: "admin", reason: req.body?.reason });
+        if (!result.ok) {
+            return res.status(result.status).json({ success: false, error: result.error });
+        }
+
+        await result.booking.populate(["location", "artist"]);
+        return res.json({ success: true, booking: toAdminBookingDto(result.booking) });
+    } catch (err) {
+        return res.status(500).json({ success: false, error: "Захиалга цуцлахад алдаа гарлаа.", details: err.message });
+    }
+});
+
+router.post("/bookings/:bookingId/reschedule", async (req, res) => {
+    const { bookingId } = req.params;
+    const { date, time } = req.body || {};
+
+    if (!isValidObjectId(bookingId)) {
+        return res.status(400).json({ success: false, error: "Захиалгын ID буруу байна." });
+    }
+
+    if (typeof date !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return res.status(400).json({ success: false, error: "Огноо буруу форматтай байна." });
+    }
+
+    if (typeof time !== "string" || !/^\d{2}:\d{2}$/.test(time)) {
+        return res.status(400).json({ success: false, error: "Цаг буруу форматтай байна." });
+    }
+
+    try {
+        const booking = await Booking.findById(bookingId);
+        if (!booking) {
+            return res.status(404).json({ success: false, error: "Захиалга олдсонгүй." });
+        }
+
+        const result = await rescheduleBooking(booking, { date, time });
+        if (!result.ok) {
+            return res.status(result.status).json({ success: false, error: result.error });
+        }
+
+        await result.booking.populate(["location", "artist"]);
+        return res.json({ success: true, booking: toAdminBookingDto(result.booking) });
+    } catch (err) {
+        return res.status(500).json({ success: false, error: "Захиалгын цаг өөрчлөхөд алдаа гарлаа.", details: err.message });
+    }
+});
+
+router.post("/artists/:artistId/calendar-token", async (req, res) => {
+    const { artistId } = req.params;
+
+    if (!isValidObjectId(artistId)) {
+        return res.status(400).json({ success: false, error: "Артист ID буруу байна." });
+    }
+
+    try {
+        const calendarToken = crypto.randomBytes(24).toString("base64url");
+        const artist = await Artist.findByIdAndUpdate(artistId, { $set: { calendarToken } }, { new: true });
+        if (!artist) {
+            return res.status(404).json({ success: false, error: "Артист олдсонгүй." });
+        }
+
+        const base = `${req.protocol}://${req.get("host")}`;
+        return res.json({
+            success: true,
+            calendarUrl: `${base}/api/booking/artists/${artistId}/calendar.ics?token=${calendarToken}`,
+        });
+    } catch (err) {
+        return res.status(500).json({ success: false, error: "Календарийн холбоос үүсгэхэд алдаа гарлаа.", details: err.message });
+    }
+});
+
+router.delete("/artists/:artistId/calendar-token", async (req, res) => {
+    const { artistId } = req.params;
+
+    if (!isValidObjectId(artistId)) {
+        return res.status(400).json({ success: false, error: "Артист ID буруу байна." });
+    }
+
+    try {
+        const artist = await Artist.findByIdAndUpdate(artistId, { $unset: { calendarToken: 1 } });
+        if (!artist) {
+            return res.status(404).json({ success: false, error: "Артист олдсонгүй." });
+        }
+        return res.json({ success: true });
+    } catch (err) {
+        return res.status(500).json({ success: false, error: "Календарийн холбоос цуцлахад алдаа гарлаа.", details: err.message });
+    }
+});
+
 router.get("/analytics/artists", async (req, res) => {
     const start = typeof req.query?.start === "string" ? new Date(req.query.start) : null;
     const end = typeof req.query?.end === "string" ? new Date(req.query.end) : null;
 
-    const matchStage = { status: "confirmed" };
+    const matchStage = { status: { $in: ["confirmed", "completed"] } };
     if (start && !Number.isNaN(start.getTime())) {
         matchStage.createdAt = { ...(matchStage.createdAt || {}), $gte: start };
     }
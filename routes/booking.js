@@ -1,3 +1,4 @@
+const crypto = require("crypto");
 const express = require("express");
 const mongoose = require("mongoose");
 
@@ -5,7 +6,27 @@ const Location = require("../models/Location");
 const Artist = require("../models/Artist");
 const ArtistAvailability = require("../models/ArtistAvailability");
 const Booking = require("../models/Booking");
-const { verifyToken } = require("../auth");
+const Service = require("../models/Service");
+const WaitlistEntry = require("../models/WaitlistEntry");
+const { signValue, verifySignedValue, verifyToken } = require("../auth");
+const {
+    BOOKING_CHANGE_CUTOFF_HOURS,
+    cancelBooking,
+    createBooking,
+    findOfferedService,
+    isWithinChangeCutoff,
+    rescheduleBooking,
+} = require("../services/booking");
+const { buildArtistCalendar, buildBookingCalendar } = require("../services/calendar");
+const { coveringSlotTimes } = require("../services/slots");
+const { cancelEntry, confirmOffer, offerFreedSlotsSafely } = require("../services/waitlist");
+const { addDays } = require("../services/schedule");
+const {
+    DEFAULT_TIME_ZONE,
+    dateInZone,
+    isPastInZone,
+    weekdayLabel,
+} = require("../lib/timezone");
 
 const router = express.Router();
 
@@ -19,6 +40,7 @@ const toLocationDto = (doc) => ({
     address: doc.address || null,
     phone: doc.phone || null,
     workingHours: doc.workingHours || null,
+    timezone: doc.timezone || DEFAULT_TIME_ZONE,
     description: doc.description || null,
     imageUrl: doc.imageUrl || null,
 });
@@ -31,14 +53,31 @@ const toArtistDto = (doc) => ({
     avatarUrl: doc.avatarUrl || null,
 });
 
-const toAvailabilityDto = (doc) => ({
-    date: doc.date,
-    slots: (doc.slots || []).map((slot) => ({
-        time: slot.time,
-        available: slot.isBooked !== true,
-    })),
+const toServiceDto = (doc) => ({
+    id: doc._id.toString(),
+    name: doc.name,
+    description: doc.description || null,
+    durationMinutes: doc.durationMinutes,
+    price: doc.price,
 });
 
+// With a service, only start times that have room for its whole duration are offered.
+// Start times that have already passed in the salon's zone are never offered.
+const toAvailabilityDto = (doc, { service = null, timeZone = DEFAULT_TIME_ZONE, now = new Date() } = {}) => {
+    const upcoming = (doc.slots || []).filter((slot) => !isPastInZone(doc.date, slot.time, timeZone, now));
+    return {
+        date: doc.date,
+        slots: service
+            ? upcoming
+                .filter((slot) => coveringSlotTimes(doc.slots, slot.time, service.durationMinutes))
+                .map((slot) => ({ time: slot.time, available: true }))
+            : upcoming.map((slot) => ({
+                time: slot.time,
+                available: slot.isBooked !== true,
+            })),
+    };
+};
+
 const toBookingDto = (bookingDoc) => ({
     id: bookingDoc._id.toString(),
     status: bookingDoc.status,
@@ -51,9 +90,31 @@ const toBookingDto = (bookingDoc) => ({
     artist: bookingDoc.artist && bookingDoc.artist._id
         ? { id: bookingDoc.artist._id.toString(), name: bookingDoc.artist.name }
         : { id: bookingDoc.artist?.toString?.() ?? "", name: bookingDoc.artistName ?? "" },
+    cancelledAt: bookingDoc.cancelledAt?.toISOString?.() ?? null,
+    service: bookingDoc.service
+        ? { id: bookingDoc.service._id?.toString?.() ?? bookingDoc.service.toString(), name: bookingDoc.serviceName ?? "" }
+        : null,
+    durationMinutes: bookingDoc.durationMinutes ?? null,
+    price: bookingDoc.price ?? null,
     createdAt: bookingDoc.createdAt?.toISOString?.() ?? null,
 });
 
+const toWaitlistDto = (entryDoc) => ({
+    id: entryDoc._id.toString(),
+    status: entryDoc.status,
+    date: entryDoc.date,
+    timeFrom: entryDoc.timeFrom || null,
+    timeTo: entryDoc.timeTo || null,
+    locationId: entryDoc.location?.toString?.() ?? null,
+    artistId: entryDoc.artist?.toString?.() ?? null,
+    serviceId: entryDoc.service?.toString?.() ?? null,
+    offer: entryDoc.status === "offered" && entryDoc.offer
+        ? { time: entryDoc.offer.time, expiresAt: entryDoc.offer.expiresAt?.toISOString?.() ?? null }
+        : null,
+    bookingId: entryDoc.booking?.toString?.() ?? null,
+    createdAt: entryDoc.createdAt?.toISOString?.() ?? null,
+});
+
 const requireAuth = (req, res, next) => {
     try {
         const token = req.headers.authorization?.split(" ")[1];
@@ -68,6 +129,20 @@ const requireAuth = (req, res, next) => {
     }
 };
 
+const tokensMatch = (expected, actual) => {
+    if (typeof expected !== "string" || typeof actual !== "string" || !expected || !actual) return false;
+    const a = Buffer.from(expected);
+    const b = Buffer.from(actual);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+const sendCalendar = (res, filename, body) => {
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="${filename}"`);
+    res.set("Cache-Control", "private, max-age=300");
+    return res.send(body);
+};
+
 let seedingPromise = null;
 
 const slotTemplate = ["10:00", "11:30", "14:00", "16:00", "18:00"];
@@ -131,8 +206,6 @@ const ensureDemoData = async () => {
 
         const artists = [naraa, temuujin, khishgee];
         const locations = [central, riverside];
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
 
         const availabilityDocs = [];
 
@@ -140,10 +213,9 @@ const ensureDemoData = async () => {
             locations
                 .filter((location) => Array.isArray(artist.locations) && artist.locations.some((locId) => locId.equals(location._id)))
                 .forEach((location) => {
+                    const today = dateInZone(new Date(), location.timezone || DEFAULT_TIME_ZONE);
                     for (let index = 0; index < 7; index += 1) {
-                        const date = new Date(today);
-                        date.setDate(today.getDate() + index);
-                        const isoDate = date.toISOString().slice(0, 10);
+                        const isoDate = addDays(today, index);
 
                         availabilityDocs.push({
                             location: location._id,
@@ -194,8 +266,31 @@ router.get("/artists", async (req, res) => {
     }
 });
 
-router.get("/availability", async (req, res) => {
+router.get("/services", async (req, res) => {
     const { locationId, artistId } = req.query;
+
+    if (!locationId || !isValidObjectId(locationId)) {
+        return res.status(400).json({ success: false, error: "Салон сонголт буруу байна." });
+    }
+
+    const filter = { active: true, locations: locationId };
+    if (artistId !== undefined) {
+        if (!isValidObjectId(artistId)) {
+            return res.status(400).json({ success: false, error: "Артист сонголт буруу байна." });
+        }
+        filter.artists = artistId;
+    }
+
+    try {
+        const services = await Service.find(filter).sort({ order: 1, name: 1 }).lean();
+        return res.json({ success: true, services: services.map(toServiceDto) });
+    } catch (err) {
+        return res.status(500).json({ success: false, error: "Үйлчилгээний мэдээлэл ачаалахад алдаа гарлаа.", details: err.message });
+    }
+});
+
+router.get("/availability", async (req, res) => {
+    const { locationId, artistId, serviceId } = req.query;
     const daysParam = parseInt(req.query.days, 10) || 7;
     const startDateParam = typeof req.query.fromDate === "string" ? req.query.fromDate : null;
 
@@ -207,16 +302,17 @@ router.get("/availability", async (req, res) => {
         return res.status(400).json({ success: false, error: "Артист сонголт буруу байна." });
     }
 
+    if (serviceId !== undefined && !isValidObjectId(serviceId)) {
+        return res.status(400).json({ success: false, error: "Үйлчилгээ сонголт буруу байна." });
+    }
+
     const days = Math.min(Math.max(daysParam, 1), 30);
-    const startDate = startDateParam && /^\d{4}-\d{2}-\d{2}$/.test(startDateParam)
-        ? new Date(`${startDateParam}T00:00:00`)
-        : new Date();
-    startDate.setHours(0, 0, 0, 0);
 
     try {
-        const [location, artist] = await Promise.all([
+        const [location, artist, service] = await Promise.all([
             Location.findById(locationId).lean(),
             Artist.findOne({ _id: artistId, locations: locationId, active: true }).lean(),
+            serviceId ? findOfferedService(serviceId, { locationId, artistId }) : null,
         ]);
 
         if (!location) {
@@ -227,11 +323,19 @@ router.get("/availability", async (req, res) => {
             return res.status(404).json({ success: false, error: "Энэ салонд сонгосон артист олдсонгүй." });
         }
 
+        if (serviceId && !service) {
+            return res.status(404).json({ success: false, error: "Энэ артист сонгосон үйлчилгээг үзүүлдэггүй." });
+        }
+
+        const timeZone = location.timezone || DEFAULT_TIME_ZONE;
+        const now = new Date();
+        const startDate = startDateParam && /^\d{4}-\d{2}-\d{2}$/.test(startDateParam)
+            ? startDateParam
+            : dateInZone(now, timeZone);
+
         const targetDates = [];
         for (let index = 0; index < days; index += 1) {
-            const date = new Date(startDate);
-            date.setDate(startDate.getDate() + index);
-            targetDates.push(date.toISOString().slice(0, 10));
+            targetDates.push(addDays(startDate, index));
         }
 
         const availability = await ArtistAvailability.find({
@@ -240,16 +344,15 @@ router.get("/availability", async (req, res) => {
             date: { $in: targetDates },
         })
             .lean()
-            .then((docs) => docs.map(toAvailabilityDto));
+            .then((docs) => docs.map((doc) => toAvailabilityDto(doc, { service, timeZone, now })));
 
         const mappedByDate = new Map(availability.map((day) => [day.date, day]));
 
         const resultDays = targetDates.map((dateString) => {
             const entry = mappedByDate.get(dateString) || { date: dateString, slots: [] };
-            const weekday = new Date(`${dateString}T00:00:00`).toLocaleDateString("mn-MN", { weekday: "long" });
             return {
                 date: dateString,
-                weekday,
+                weekday: weekdayLabel(dateString),
                 slots: entry.slots,
             };
         });
@@ -258,6 +361,7 @@ router.get("/availability", async (req, res) => {
             success: true,
             location: toLocationDto(location),
             artist: toArtistDto(artist),
+            service: service ? toServiceDto(service) : null,
             days: resultDays,
         });
     } catch (err) {
@@ -265,6 +369,47 @@ router.get("/availability", async (req, res) => {
     }
 });
 
+// Subscribable feed for calendar apps, which cannot send an Authorization header.
+router.get("/artists/:artistId/calendar.ics", async (req, res) => {
+    const { artistId } = req.params;
+
+    if (!isValidObjectId(artistId)) {
+        return res.status(400).json({ success: false, error: "Артист ID буруу байна." });
+    }
+
+    try {
+        const artist = await Artist.findById(artistId).select("+calendarToken").lean();
+        if (!artist || !tokensMatch(artist.calendarToken, req.query.token)) {
+            return res.status(404).json({ success: false, error: "Календарь олдсонгүй." });
+        }
+
+        const body = await buildArtistCalendar(artist);
+        return sendCalendar(res, `artist-${artistId}.ics`, body);
+    } catch (err) {
+        return res.status(500).json({ success: false, error: "Календарь үүсгэхэд алдаа гарлаа.", details: err.message });
+    }
+});
+
+// Download link from /history; signed so it opens without a bearer token.
+router.get("/:bookingId/calendar.ics", async (req, res) => {
+    const { bookingId } = req.params;
+
+    if (!isValidObjectId(bookingId) || !verifySignedValue(bookingId, req.query.sig)) {
+        return res.status(404).json({ success: false, error: "Захиалга олдсонгүй." });
+    }
+
+    try {
+        const booking = await Booking.findById(bookingId).populate(["location", "artist"]).lean();
+        if (!booking) {
+            return res.status(404).json({ success: false, error: "Захиалга олдсонгүй." });
+        }
+
+        return sendCalendar(res, `booking-${bookingId}.ics`, buildBookingCalendar(booking));
+    } catch (err) {
+        return res.status(500).json({ success: false, error: "Календарь үүсгэхэд алдаа гарлаа.", details: err.message });
+    }
+});
+
 router.get("/history", requireAuth, async (req, res) => {
     const userId = req.user?.userId;
 
@@ -278,9 +423,13 @@ router.get("/history", requireAuth, async (req, res) => {
             .limit(20)
             .populate(["location", "artist"]);
 
+        const baseUrl = `${req.protocol}://${req.get("host")}${req.baseUrl}`;
         return res.json({
             success: true,
-            bookings: bookings.map((booking) => toBookingDto(booking)),
+            bookings: bookings.map((booking) => ({
+                ...toBookingDto(booking),
+                calendarUrl: `${baseUrl}/${booking._id}/calendar.ics?sig=${signValue(booking._id)}`,
+            })),
         });
     } catch (err) {
         return res.status(500).json({ success: false, error: "Захиалгын түүх ачаалахад алдаа гарлаа.", details: err.message });
@@ -288,7 +437,7 @@ router.get("/history", requireAuth, async (req, res) => {
 });
 
 router.post("/", requireAuth, async (req, res) => {
-    const { locationId, artistId, date, time, notes } = req.body || {};
+    const { locationId, artistId, serviceId, date, time, notes } = req.body || {};
 
     if (!locationId || !isValidObjectId(locationId)) {
         return res.status(400).json({ success: false, error: "Салон сонголт буруу байна." });
@@ -306,10 +455,188 @@ router.post("/", requireAuth, async (req, res) => {
         return res.status(400).json({ success: false, error: "Цаг буруу форматтай байна." });
     }
 
+    if (serviceId !== undefined && !isValidObjectId(serviceId)) {
+        return res.status(400).json({ success: false, error: "Үйлчилгээ сонголт буруу байна." });
+    }
+
+    if (!req.user?.userId || !isValidObjectId(req.user.userId)) {
+        return res.status(401).json({ success: false, error: "Нэвтрэх шаардлагатай." });
+    }
+
+    try {
+        const result = await createBooking({
+            locationId,
+            artistId,
+            serviceId,
+            date,
+            time,
+            notes,
+            user: req.user.userId,
+            customer: {
+                phone: req.user?.phone || null,
+                name: req.user?.name || null,
+            },
+        });
+
+        if (!result.ok) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error,
+                ...(result.status === 409 ? { canJoinWaitlist: true } : {}),
+            });
+        }
+
+        const { booking } = result;
+        await booking.populate([{ path: "location" }, { path: "artist" }]);
+
+        return res.json({ success: true, booking: toBookingDto(booking) });
+    } catch (err) {
+        console.error("Booking creation error", err);
+        return res.status(500).json({ success: false, error: "Захиалга баталгаажуулахад алдаа гарлаа.", details: err.message });
+    }
+});
+
+const locationTimeZone = async (locationId) => {
+    const location = await Location.findById(locationId).select("timezone").lean();
+    return location?.timezone || DEFAULT_TIME_ZONE;
+};
+
+const loadOwnBooking = async (req, res) => {
+    const userId = req.user?.userId;
+    const { bookingId } = req.params;
+
+    if (!userId || !isValidObjectId(userId)) {
+        res.status(401).json({ success: false, error: "Нэвтрэх шаардлагатай." });
+        return null;
+    }
+
+    if (!isValidObjectId(bookingId)) {
+        res.status(400).json({ success: false, error: "Захиалгын ID буруу байна." });
+        return null;
+    }
+
+    const booking = await Booking.findOne({ _id: bookingId, user: userId });
+    if (!booking) {
+        res.status(404).json({ success: false, error: "Захиалга олдсонгүй." });
+        return null;
+    }
+
+    return booking;
+};
+
+router.post("/:bookingId/cancel", requireAuth, async (req, res) => {
     try {
-        const [location, artist] = await Promise.all([
+        const booking = await loadOwnBooking(req, res);
+        if (!booking) return undefined;
+
+        const timeZone = await locationTimeZone(booking.location);
+        if (booking.status === "confirmed" && isWithinChangeCutoff(booking, timeZone)) {
+            return res.status(409).json({
+                success: false,
+                error: `Захиалгыг эхлэхээс ${BOOKING_CHANGE_CUTOFF_HOURS} цагийн өмнө цуцлах боломжтой.`,
+            });
+        }
+
+        const result = await cancelBooking(booking, { cancelledBy: "customer", reason: req.body?.reason });
+        if (!result.ok) {
+            return res.status(result.status).json({ success: false, error: result.error });
+        }
+
+        await result.booking.populate([{ path: "location" }, { path: "artist" }]);
+        return res.json({ success: true, booking: toBookingDto(result.booking) });
+    } catch (err) {
+        return res.status(500).json({ success: false, error: "Захиалга цуцлахад алдаа гарлаа.", details: err.message });
+    }
+});
+
+router.post("/:bookingId/reschedule", requireAuth, async (req, res) => {
+    const { date, time } = req.body || {};
+
+    if (typeof date !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return res.status(400).json({ success: false, error: "Огноо буруу форматтай байна." });
+    }
+
+    if (typeof time !== "string" || !/^\d{2}:\d{2}$/.test(time)) {
+        return res.status(400).json({ success: false, error: "Цаг буруу форматтай байна." });
+    }
+
+    try {
+        const booking = await loadOwnBooking(req, res);
+        if (!booking) return undefined;
+
+        const timeZone = await locationTimeZone(booking.location);
+        if (booking.status === "confirmed" && isWithinChangeCutoff(booking, timeZone)) {
+            return res.status(409).json({
+                success: false,
+                error: `Захиалгын цагийг эхлэхээс ${BOOKING_CHANGE_CUTOFF_HOURS} цагийн өмнө өөрчлөх боломжтой.`,
+            });
+        }
+
+        if (isWithinChangeCutoff({ date, time }, timeZone)) {
+            return res.status(400).json({ success: false, error: "Сонгосон цаг хэт ойрхон эсвэл өнгөрсөн байна." });
+        }
+
+        const result = await rescheduleBooking(booking, { date, time });
+        if (!result.ok) {
+            return res.status(result.status).json({ success: false, error: result.error });
+        }
+
+        await result.booking.populate([{ path: "location" }, { path: "artist" }]);
+        return res.json({ success: true, booking: toBookingDto(result.booking) });
+    } catch (err) {
+        return res.status(500).json({ success: false, error: "Захиалгын цаг өөрчлөхөд алдаа гарлаа.", details: err.message });
+    }
+});
+
+router.get("/waitlist", requireAuth, async (req, res) => {
+    const userId = req.user?.userId;
+
+    if (!userId || !isValidObjectId(userId)) {
+        return res.status(401).json({ success: false, error: "Нэвтрэх шаардлагатай." });
+    }
+
+    try {
+        const entries = await WaitlistEntry.find({ user: userId }).sort({ createdAt: -1 }).limit(20).lean();
+        return res.json({ success: true, entries: entries.map(toWaitlistDto) });
+    } catch (err) {
+        return res.status(500).json({ success: false, error: "Хүлээлгийн жагсаалт ачаалахад алдаа гарлаа.", details: err.message });
+    }
+});
+
+router.post("/waitlist", requireAuth, async (req, res) => {
+    const userId = req.user?.userId;
+    const { locationId, artistId, serviceId, date, timeFrom, timeTo } = req.body || {};
+
+    if (!userId || !isValidObjectId(userId)) {
+        return res.status(401).json({ success: false, error: "Нэвтрэх шаардлагатай." });
+    }
+
+    if (!locationId || !isValidObjectId(locationId)) {
+        return res.status(400).json({ success: false, error: "Салон сонголт буруу байна." });
+    }
+
+    if (!artistId || !isValidObjectId(artistId)) {
+        return res.status(400).json({ success: false, error: "Артист сонголт буруу байна." });
+    }
+
+    if (serviceId !== undefined && !isValidObjectId(serviceId)) {
+        return res.status(400).json({ success: false, error: "Үйлчилгээ сонголт буруу байна." });
+    }
+
+    if (typeof date !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return res.status(400).json({ success: false, error: "Огноо буруу форматтай байна." });
+    }
+
+    const validWindow = [timeFrom, timeTo].every((value) => value === undefined || (typeof value === "string" && /^\d{2}:\d{2}$/.test(value)));
+    if (!validWindow || (timeFrom && timeTo && timeFrom > timeTo)) {
+        return res.status(400).json({ success: false, error: "Цагийн интервал буруу байна." });
+    }
+
+    try {
+        const [location, artist, service] = await Promise.all([
             Location.findById(locationId).lean(),
             Artist.findOne({ _id: artistId, locations: locationId, active: true }).lean(),
+            serviceId ? findOfferedService(serviceId, { locationId, artistId }) : null,
         ]);
 
         if (!location) {
@@ -320,52 +647,101 @@ router.post("/", requireAuth, async (req, res) => {
             return res.status(404).json({ success: false, error: "Энэ салонд сонгосон артист олдсонгүй." });
         }
 
-        const availability = await ArtistAvailability.findOneAndUpdate(
-            {
-                artist: artistId,
-                location: locationId,
-                date,
-                slots: { $elemMatch: { time, isBooked: false } },
-            },
-            {
-                $set: { "slots.$.isBooked": true },
-            },
-            { new: true },
-        );
+        if (serviceId && !service) {
+            return res.status(404).json({ success: false, error: "Энэ артист сонгосон үйлчилгээг үзүүлдэггүй." });
+        }
 
-        if (!availability) {
-            return res.status(409).json({ success: false, error: "Энэ цаг аль хэдийн захиалагдсан байна." });
+        if (date < dateInZone(new Date(), location.timezone || DEFAULT_TIME_ZONE)) {
+            return res.status(400).json({ success: false, error: "Өнгөрсөн өдөрт бүртгүүлэх боломжгүй." });
         }
 
-        const bookingData = {
-            location: location._id,
-            artist: artist._id,
+        const duplicate = await WaitlistEntry.exists({
+            user: userId,
+            artist: artistId,
+            location: locationId,
             date,
-            time,
-            timeslot: `${date}T${time}`,
-            status: "confirmed",
-            notes: typeof notes === "string" ? notes.trim() || undefined : undefined,
-        };
-
-        if (!req.user?.userId || !isValidObjectId(req.user.userId)) {
-            return res.status(401).json({ success: false, error: "Нэвтрэх шаардлагатай." });
+            status: { $in: ["waiting", "offered"] },
+        });
+        if (duplicate) {
+            return res.status(409).json({ success: false, error: "Та энэ өдрийн хүлээлгийн жагсаалтад бүртгэлтэй байна." });
         }
 
-        bookingData.user = req.user.userId;
+        const entry = await WaitlistEntry.create({
+            user: userId,
+            customer: { phone: req.user?.phone || null, name: req.user?.name || null },
+            location: locationId,
+            artist: artistId,
+            service: service?._id,
+            durationMinutes: service?.durationMinutes,
+            date,
+            timeFrom,
+            timeTo,
+        });
 
-        bookingData.customer = {
-            phone: req.user?.phone || null,
-            name: req.user?.name || null,
-        };
+        // A matching slot may already be free; offer it straight away.
+        await offerFreedSlotsSafely({ artist: entry.artist, location: entry.location, date });
+        const current = await WaitlistEntry.findById(entry._id).lean();
 
-        const booking = await Booking.create(bookingData);
-        await booking.populate([{ path: "location" }, { path: "artist" }]);
+        return res.status(201).json({ success: true, entry: toWaitlistDto(current || entry) });
+    } catch (err) {
+        return res.status(500).json({ success: false, error: "Хүлээлгийн жагсаалтад бүртгэхэд алдаа гарлаа.", details: err.message });
+    }
+});
 
-        return res.json({ success: true, booking: toBookingDto(booking) });
+const loadOwnWaitlistEntry = async (req, res) => {
+    const userId = req.user?.userId;
+    const { entryId } = req.params;
+
+    if (!userId || !isValidObjectId(userId)) {
+        res.status(401).json({ success: false, error: "Нэвтрэх шаардлагатай." });
+        return null;
+    }
+
+    if (!isValidObjectId(entryId)) {
+        res.status(400).json({ success: false, error: "Хүсэлтийн ID буруу байна." });
+        return null;
+    }
+
+    const entry = await WaitlistEntry.findOne({ _id: entryId, user: userId });
+    if (!entry) {
+        res.status(404).json({ success: false, error: "Хүсэлт олдсонгүй." });
+        return null;
+    }
+
+    return entry;
+};
+
+router.post("/waitlist/:entryId/confirm", requireAuth, async (req, res) => {
+    try {
+        const entry = await loadOwnWaitlistEntry(req, res);
+        if (!entry) return undefined;
+
+        const result = await confirmOffer(entry);
+        if (!result.ok) {
+            return res.status(result.status).json({ success: false, error: result.error });
+        }
+
+        await result.booking.populate([{ path: "location" }, { path: "artist" }]);
+        return res.json({ success: true, booking: toBookingDto(result.booking), entry: toWaitlistDto(result.entry) });
     } catch (err) {
-        console.error("Booking creation error", err);
         return res.status(500).json({ success: false, error: "Захиалга баталгаажуулахад алдаа гарлаа.", details: err.message });
     }
 });
 
+router.delete("/waitlist/:entryId", requireAuth, async (req, res) => {
+    try {
+        const entry = await loadOwnWaitlistEntry(req, res);
+        if (!entry) return undefined;
+
+        const result = await cancelEntry(entry);
+        if (!result.ok) {
+            return res.status(result.status).json({ success: false, error: result.error });
+        }
+
+        return res.json({ success: true, entry: toWaitlistDto(result.entry) });
+    } catch (err) {
+        return res.status(500).json({ success: false, error: "Хүсэлт цуцлахад алдаа гарлаа.", details: err.message });
+    }
+});
+
 module.exports = router;
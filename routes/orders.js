@@ -2,9 +2,18 @@ const express = require("express");
 const mongoose = require("mongoose");
 const Order = require("../models/Order");
 const { verifyToken } = require("../auth");
+const { createRateLimiter } = require("../lib/rate-limit");
+const { toPositiveInt } = require("../lib/upload");
+const { getCustomerBalance } = require("../services/cargo-payments");
 
 const router = express.Router();
 
+// Public lookups are throttled per IP so tracking numbers cannot be enumerated
+const trackingLimiter = createRateLimiter({
+    windowMs: 60 * 1000,
+    max: toPositiveInt(process.env.TRACKING_LOOKUPS_PER_MIN, 20),
+});
+
 /* ======================
    AUTH GUARD (USER)
 ====================== */
@@ -42,6 +51,120 @@ const authGuard = (req, res, next) => {
     }
 };
 
+/* ======================
+   DECLARATION HELPERS
+====================== */
+const MAX_DECLARED_ITEMS = 50;
+
+const isHttpUrl = (value) => {
+    try {
+        const url = new URL(value);
+        return url.protocol === "http:" || url.protocol === "https:";
+    } catch {
+        return false;
+    }
+};
+
+const optionalUrl = (value, field) => {
+    if (value === undefined || value === null || String(value).trim() === "") return { value: undefined };
+    const url = String(value).trim();
+    return isHttpUrl(url) ? { value: url } : { error: `Invalid ${field}` };
+};
+
+// Validates the customer's item list; returns { value } or { error }
+const parseDeclaredItems = (raw) => {
+    if (!Array.isArray(raw)) return { error: "items must be an array" };
+    if (raw.length > MAX_DECLARED_ITEMS) return { error: `At most ${MAX_DECLARED_ITEMS} items` };
+
+    const items = [];
+    for (const [index, input] of raw.entries()) {
+        const label = `items[${index}]`;
+        const name = String(input?.name || "").trim();
+        if (!name) return { error: `${label}.name required` };
+
+        const quantity = input?.quantity === undefined ? 1 : Number(input.quantity);
+        if (!Number.isInteger(quantity) || quantity < 1) return { error: `Invalid ${label}.quantity` };
+
+        let declaredValue;
+        if (input?.declaredValue !== undefined && input.declaredValue !== "") {
+            declaredValue = Number(input.declaredValue);
+            if (!Number.isFinite(declaredValue) || declaredValue < 0) {
+                return { error: `Invalid ${label}.declaredValue` };
+            }
+        }
+
+        const storeUrl = optionalUrl(input?.storeUrl, `${label}.storeUrl`);
+        if (storeUrl.error) return storeUrl;
+        const photoUrl = optionalUrl(input?.photoUrl, `${label}.photoUrl`);
+        if (photoUrl.error) return photoUrl;
+
+        items.push({ name, quantity, declaredValue, storeUrl: storeUrl.value, photoUrl: photoUrl.value });
+    }
+
+    return { value: items };
+};
+
+const declarationFields = (items, currency) => {
+    const fields = {
+        items,
+        declaredValueTotal: items.reduce((sum, item) => sum + (item.declaredValue || 0) * item.quantity, 0),
+        declarationUpdatedAt: new Date(),
+    };
+    if (typeof currency === "string" && currency.trim()) {
+        fields.declaredCurrency = currency.trim().toUpperCase();
+    }
+    return fields;
+};
+
+/* ======================
+   PUBLIC TRACKING (NO AUTH)
+   redacted: no owner, phone or price
+====================== */
+const toTrackingView = (order) => ({
+    trackingNumber: order.trackingNumber,
+    status: order.status,
+    fromCountry: order.fromCountry,
+    toCountry: order.toCountry,
+    weightKg: order.weightKg,
+    timeline: (order.statusHistory || []).map((entry) => ({
+        status: entry.status,
+        changedAt: entry.changedAt,
+    })),
+    createdAt: order.createdAt,
+    updatedAt: order.updatedAt,
+});
+
+router.get("/track/:trackingNumber", trackingLimiter, async (req, res) => {
+    try {
+        const trackingNumber = String(req.params.trackingNumber || "").trim();
+
+        if (!trackingNumber || trackingNumber.length > 64) {
+            return res.status(400).json({
+                success: false,
+                error: "Invalid tracking number",
+            });
+        }
+
+        const order = await Order.findOne({ trackingNumber, isArchived: { $ne: true } })
+            .select("trackingNumber status fromCountry toCountry weightKg statusHistory createdAt updatedAt")
+            .lean();
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                error: "Tracking number not found",
+            });
+        }
+
+        return res.json({ success: true, tracking: toTrackingView(order) });
+    } catch (e) {
+        return res.status(500).json({
+            success: false,
+            error: e.message,
+        });
+    }
+});
+
 /* ======================
    CREATE ORDER (USER)
 ====================== */
@@ -58,6 +181,15 @@ router.post("/", authGuard, async (req, res) => {
             });
         }
 
+        let declaration = {};
+        if (req.body?.items !== undefined) {
+            const parsed = parseDeclaredItems(req.body.items);
+            if (parsed.error) {
+                return res.status(400).json({ success: false, error: parsed.error });
+            }
+            declaration = declarationFields(parsed.value, req.body?.declaredCurrency);
+        }
+
         const exists = await Order.findOne({ trackingNumber }).select("_id");
         if (exists) {
             return res.status(409).json({
@@ -70,6 +202,8 @@ router.post("/", authGuard, async (req, res) => {
             userId: req.user.userId,
             trackingNumber,
             note,
+            ...declaration,
+            statusHistory: [{ status: "CREATED", by: req.user.userId }],
         });
 
         return res.status(201).json({ success: true, order });
@@ -86,9 +220,12 @@ router.post("/", authGuard, async (req, res) => {
 ====================== */
 router.get("/", authGuard, async (req, res) => {
     try {
+        // The owner is the only one who sees the pickup code
         const orders = await Order.find({
             userId: req.user.userId,
-        }).sort({ createdAt: -1 });
+        })
+            .select("+pickupCode")
+            .sort({ createdAt: -1 });
 
         return res.json({ success: true, orders });
     } catch (e) {
@@ -99,6 +236,21 @@ router.get("/", authGuard, async (req, res) => {
     }
 });
 
+/* ======================
+   MY BALANCE
+====================== */
+router.get("/balance", authGuard, async (req, res) => {
+    try {
+        const balance = await getCustomerBalance(req.user.userId);
+        return res.json({ success: true, balance });
+    } catch (e) {
+        return res.status(500).json({
+            success: false,
+            error: e.message,
+        });
+    }
+});
+
 /* ======================
    ORDER DETAIL (MY ORDER)
 ====================== */
@@ -116,7 +268,7 @@ router.get("/:id", authGuard, async (req, res) => {
         const order = await Order.findOne({
             _id: id,
             userId: req.user.userId,
-        });
+        }).select("+pickupCode");
 
         if (!order) {
             return res.status(404).json({
@@ -134,4 +286,52 @@ router.get("/:id", authGuard, async (req, res) => {
     }
 });
 
+/* ======================
+   UPDATE DECLARATION (MY ORDER)
+   editable only until the warehouse receives the parcel
+====================== */
+router.put("/:id/declaration", authGuard, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                error: "Invalid id",
+            });
+        }
+
+        const parsed = parseDeclaredItems(req.body?.items);
+        if (parsed.error) {
+            return res.status(400).json({ success: false, error: parsed.error });
+        }
+
+        const set = declarationFields(parsed.value, req.body?.declaredCurrency);
+        if (typeof req.body?.note === "string") set.note = req.body.note.trim();
+
+        const order = await Order.findOneAndUpdate(
+            { _id: id, userId: req.user.userId, status: "CREATED" },
+            { $set: set },
+            { new: true, runValidators: true }
+        );
+
+        if (!order) {
+            const exists = await Order.exists({ _id: id, userId: req.user.userId });
+            return res.status(exists ? 409 : 404).json({
+                success: false,
+                error: exists
+                    ? "Declaration is locked once the order has been received"
+                    : "Order not found",
+            });
+        }
+
+        return res.json({ success: true, order });
+    } catch (e) {
+        return res.status(500).json({
+            success: false,
+            error: e.message,
+        });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,176 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const ProductOrder = require("../models/ProductOrder");
+const { verifyToken } = require("../auth");
+const { createRateLimiter } = require("../lib/rate-limit");
+const { toPositiveInt } = require("../lib/upload");
+const { normalizeAdminPhone } = require("../services/admin-setup");
+const { PRODUCT_ORDER_STATUSES, changeProductOrderStatus } = require("../services/product-orders");
+
+const router = express.Router();
+
+const authGuard = (req, res, next) => {
+  try {
+    const token = req.headers.authorization?.split(" ")[1];
+    if (!token) return res.status(401).json({ success: false, error: "No token provided" });
+    req.user = verifyToken(token);
+    return next();
+  } catch (err) {
+    return res.status(401).json({ success: false, error: "Unauthorized", details: err.message });
+  }
+};
+
+const adminOnly = (req, res, next) => {
+  if (req.user?.role === "admin") return next();
+  return res.status(403).json({ success: false, error: "Forbidden" });
+};
+
+// Customer lookups are throttled so phone + code pairs cannot be guessed
+const lookupLimiter = createRateLimiter({
+  windowMs: 60 * 1000,
+  max: toPositiveInt(process.env.PRODUCT_ORDER_LOOKUPS_PER_MIN, 10),
+});
+
+const phoneCandidates = (phone) => Array.from(new Set([phone, normalizeAdminPhone(phone)].filter(Boolean)));
+
+const parseDate = (raw, endOfDay) => {
+  if (typeof raw !== "string" || !raw.trim()) return null;
+  const value = raw.trim();
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? new Date(`${value}T${endOfDay ? "23:59:59.999" : "00:00:00.000"}Z`)
+    : new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+// Redacted view for customers: no internal history authors
+const toCustomerView = (order) => ({
+  code: order.code,
+  status: order.status,
+  items: order.items,
+  subtotal: order.subtotal,
+  deliveryFee: order.deliveryFee,
+  total: order.total,
+  delivery: order.delivery,
+  customerName: order.customerName,
+  cancelReason: order.cancelReason,
+  timeline: (order.statusHistory || []).map((entry) => ({ status: entry.status, changedAt: entry.changedAt })),
+  createdAt: order.createdAt,
+  updatedAt: order.updatedAt,
+});
+
+// POST /api/product-orders/lookup (public) { phone, code }
+router.post("/lookup", lookupLimiter, async (req, res) => {
+  try {
+    const phone = String(req.body?.phone || "").trim();
+    const code = String(req.body?.code || "").trim().toUpperCase();
+    if (!phone || !code) {
+      return res.status(400).json({ success: false, error: "phone and code are required" });
+    }
+
+    const order = await ProductOrder.findOne({ code, phone: { $in: phoneCandidates(phone) } }).lean();
+    if (!order) {
+      return res.status(404).json({ success: false, error: "Order not found" });
+    }
+
+    return res.json({ success: true, order: toCustomerView(order) });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// GET /api/product-orders (admin) ?status=&from=&to=&phone=&page=&limit=
+router.get("/", authGuard, adminOnly, async (req, res) => {
+  try {
+    const filter = {};
+    const { status, phone } = req.query || {};
+
+    if (typeof status === "string" && status) {
+      const statuses = status.split(",").map((s) => s.trim().toUpperCase()).filter(Boolean);
+      if (statuses.some((s) => !PRODUCT_ORDER_STATUSES.includes(s))) {
+        return res.status(400).json({ success: false, error: "Invalid status" });
+      }
+      filter.status = { $in: statuses };
+    }
+
+    const from = parseDate(req.query.from, false);
+    const to = parseDate(req.query.to, true);
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({ success: false, error: "Invalid date range" });
+    }
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = from;
+      if (to) filter.createdAt.$lte = to;
+    }
+
+    if (typeof phone === "string" && phone.trim()) {
+      filter.phone = { $in: phoneCandidates(phone.trim()) };
+    }
+
+    const page = toPositiveInt(req.query.page, 1);
+    const limit = Math.min(toPositiveInt(req.query.limit, 50), 200);
+    const [orders, total] = await Promise.all([
+      ProductOrder.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      ProductOrder.countDocuments(filter),
+    ]);
+
+    return res.json({ success: true, orders, total, page, limit });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// GET /api/product-orders/:id (admin)
+router.get("/:id", authGuard, adminOnly, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, error: "Invalid order id" });
+    }
+
+    const order = await ProductOrder.findById(id).lean();
+    if (!order) {
+      return res.status(404).json({ success: false, error: "Order not found" });
+    }
+
+    return res.json({ success: true, order });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// PATCH /api/product-orders/:id/status (admin) { status, reason?, note? }
+router.patch("/:id/status", authGuard, adminOnly, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, error: "Invalid order id" });
+    }
+
+    const order = await ProductOrder.findById(id).select("_id status").lean();
+    if (!order) {
+      return res.status(404).json({ success: false, error: "Order not found" });
+    }
+
+    const result = await changeProductOrderStatus(order, String(req.body?.status || "").trim().toUpperCase(), {
+      by: req.user.userId || req.user.adminId,
+      reason: req.body?.reason,
+      note: req.body?.note,
+    });
+    if (!result.ok) {
+      return res
+        .status(result.status)
+        .json({ success: false, error: result.error, ...(result.allowed ? { allowed: result.allowed } : {}) });
+    }
+
+    return res.json({ success: true, order: result.order, changed: result.changed });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = router;
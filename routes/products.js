@@ -3,8 +3,13 @@ const fs = require("fs");
 const path = require("path");
 const mongoose = require("mongoose");
 const Product = require("../models/Product");
+const Category = require("../models/Category");
 const ProductOrder = require("../models/ProductOrder");
+const StockAdjustment = require("../models/StockAdjustment");
 const { verifyToken } = require("../auth");
+const { buildOrderLines, createProductOrder, orderTotals } = require("../services/product-orders");
+const { adjustStock, defaultStockMode, lowStockReport } = require("../services/product-stock");
+const { listCategoriesWithCounts, resolveCategory } = require("../services/categories");
 const {
   bytesFromMegabytes,
   createMinFreeSpaceGuard,
@@ -69,6 +74,18 @@ const authGuard = (req, res, next) => {
   }
 };
 
+// Checkout works for guests too; a valid token just links the order to the user
+const readOptionalUser = (req) => {
+  const token = req.headers.authorization?.split(" ")[1];
+  if (!token) return null;
+  try {
+    const payload = verifyToken(token);
+    return payload?.userId ? payload : null;
+  } catch (_) {
+    return null;
+  }
+};
+
 const adminOnly = (req, res, next) => {
   if (req.user?.role === "admin") return next();
   return res.status(403).json({ success: false, error: "Forbidden" });
@@ -93,32 +110,348 @@ const extractImageFilename = (value) => {
   return path.basename(raw);
 };
 
-// Allowed categories for validation and filtering
-const ALLOWED_CATEGORIES = new Set([
-  "Хоол",
-  "Хүнс",
-  "Бөөнний түгээлт",
-  "Урьдчилсан захиалга",
-  "Кофе амттан",
-  "Алкохол",
-  "Гэр ахуй & хүүхэд",
-  "Эргэнэтэд үйлдвэрлэв",
-  "Бэлэг & гоо сайхан",
-  "Гадаад захиалга",
-]);
-
-// GET /api/products
+const STOCK_MODES = new Set(["limited", "unlimited", "preorder"]);
+const ADJUSTMENT_REASONS = new Set(["restock", "correction", "damaged"]);
+
+const toNonNegativeInt = (value) => {
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : undefined;
+};
+
+// Core product fields; `partial` (PATCH) only validates what was sent.
+// The category may be given as a Category id, slug or name and must be active.
+const parseProductInput = async (body, { partial = false } = {}) => {
+  const { name, price, description, category } = body || {};
+  if (!partial && (!name || !price || !category)) {
+    return { error: "name, price and category are required" };
+  }
+
+  const out = {};
+  let found = null;
+  if (name !== undefined) {
+    if (!String(name).trim()) return { error: "name cannot be empty" };
+    out.name = String(name).trim();
+  }
+  if (category !== undefined) {
+    found = await resolveCategory(category);
+    if (!found) return { error: "Invalid category" };
+    out.category = found.name;
+    out.categoryId = found._id;
+  }
+  if (price !== undefined) {
+    const parsedPrice = Number(price);
+    if (price === "" || !Number.isFinite(parsedPrice) || parsedPrice < 0) return { error: "Invalid price" };
+    out.price = parsedPrice;
+  }
+  if (description !== undefined) {
+    out.description = description ? String(description).trim() : undefined;
+  }
+  return { value: out, category: found };
+};
+
+// Stock fields from a create/update body (JSON or multipart strings)
+const parseStockInput = (body) => {
+  const out = {};
+  if (body?.stockMode !== undefined && body.stockMode !== "") {
+    if (!STOCK_MODES.has(String(body.stockMode))) return { error: "Invalid stockMode" };
+    out.stockMode = String(body.stockMode);
+  }
+  for (const field of ["stock", "lowStockThreshold"]) {
+    if (body?.[field] === undefined || body[field] === "") continue;
+    const value = toNonNegativeInt(body[field]);
+    if (value === undefined) return { error: `Invalid ${field}` };
+    out[field] = value;
+  }
+  return { value: out };
+};
+
+const SKU_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+/**
+ * Variant list from a create/update body (JSON array, or a JSON string in
+ * multipart forms). The list replaces the product's variants; entries with an
+ * existing `_id` keep their stock, which only changes through stock adjustments.
+ */
+const parseVariantsInput = (raw, existing = []) => {
+  let list = raw;
+  if (typeof raw === "string") {
+    try {
+      list = JSON.parse(raw);
+    } catch (_) {
+      return { error: "variants must be a JSON array" };
+    }
+  }
+  if (!Array.isArray(list)) return { error: "variants must be an array" };
+
+  const existingById = new Map(existing.map((variant) => [String(variant._id), variant]));
+  const skus = new Set();
+  const variants = [];
+  const added = [];
+
+  for (const [index, input] of list.entries()) {
+    const label = `variants[${index}]`;
+    const sku = String(input?.sku || "").trim().toUpperCase();
+    const name = String(input?.label || "").trim();
+    const price = Number(input?.price);
+    if (!SKU_PATTERN.test(sku)) return { error: `Invalid ${label}.sku` };
+    if (skus.has(sku)) return { error: `Duplicate sku ${sku}` };
+    if (!name) return { error: `${label}.label is required` };
+    if (input?.price === "" || !Number.isFinite(price) || price < 0) return { error: `Invalid ${label}.price` };
+    skus.add(sku);
+
+    let options;
+    if (input?.options !== undefined) {
+      if (!input.options || typeof input.options !== "object" || Array.isArray(input.options)) {
+        return { error: `Invalid ${label}.options` };
+      }
+      options = Object.fromEntries(Object.entries(input.options).map(([key, value]) => [key, String(value)]));
+    }
+
+    const variant = { sku, label: name, options, price, active: input?.active !== false && input?.active !== "false" };
+    const previous = input?._id ? existingById.get(String(input._id)) : null;
+    if (input?._id && !previous) return { error: `Unknown ${label}._id` };
+
+    if (previous) {
+      variants.push({ ...variant, _id: previous._id, stock: previous.stock });
+    } else {
+      const stock = input?.stock === undefined ? 0 : toNonNegativeInt(input.stock);
+      if (stock === undefined) return { error: `Invalid ${label}.stock` };
+      variants.push({ ...variant, stock });
+      if (stock > 0) added.push(sku);
+    }
+  }
+
+  return { value: variants, added };
+};
+
+// The variants.sku index is not built where autoIndex is off, so check other products too.
+// Returns the first SKU another product already uses, if any.
+const findTakenSku = async (variants, productId) => {
+  const skus = variants.map((variant) => variant.sku);
+  if (skus.length === 0) return null;
+  const filter = { "variants.sku": { $in: skus } };
+  if (productId) filter._id = { $ne: productId };
+  const other = await Product.findOne(filter).select("variants.sku").lean();
+  if (!other) return null;
+  const used = new Set(other.variants.map((variant) => variant.sku));
+  return skus.find((sku) => used.has(sku));
+};
+
+// Log the opening stock of newly created variants
+const recordInitialVariantStock = (item, skus, by) =>
+  Promise.all(
+    (item.variants || [])
+      .filter((variant) => skus.includes(variant.sku))
+      .map((variant) =>
+        StockAdjustment.create({
+          product: item._id,
+          variant: variant._id,
+          delta: variant.stock,
+          stockAfter: variant.stock,
+          reason: "restock",
+          note: "Initial stock",
+          by,
+        }),
+      ),
+  );
+
+const PRODUCT_SORTS = {
+  newest: { createdAt: -1, _id: -1 },
+  price_asc: { price: 1, _id: 1 },
+  price_desc: { price: -1, _id: -1 },
+  name: { name: 1, _id: 1 },
+};
+const PRODUCT_PAGE_DEFAULT = 24;
+const PRODUCT_PAGE_MAX = 100;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const parsePriceBound = (value) => {
+  if (value === undefined || value === "") return null;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : undefined;
+};
+
+// GET /api/products ?q=&category=&minPrice=&maxPrice=&sort=newest|price_asc|price_desc|name&page=&limit=
+// Responds with { success, products, total, page, limit, pages }; ?format=array keeps the old bare array
 router.get("/", async (req, res) => {
   const guard = ensureMongo(res);
   if (guard) return guard;
   try {
-    const { category } = req.query || {};
+    const { category, q } = req.query || {};
     const filter = {};
-    if (category && typeof category === "string" && ALLOWED_CATEGORIES.has(category)) {
-      filter.category = category;
+    const categoryDoc = category && typeof category === "string" ? await resolveCategory(category) : null;
+    if (categoryDoc) {
+      filter.category = categoryDoc.name;
+    }
+
+    // Case-insensitive substring match; works for Cyrillic where $text would need whole words
+    if (typeof q === "string" && q.trim()) {
+      const pattern = new RegExp(escapeRegex(q.trim().slice(0, 100)), "i");
+      filter.$or = [{ name: pattern }, { description: pattern }];
+    }
+
+    const minPrice = parsePriceBound(req.query?.minPrice);
+    const maxPrice = parsePriceBound(req.query?.maxPrice);
+    if (minPrice === undefined || maxPrice === undefined) {
+      return res.status(400).json({ success: false, error: "Invalid price range" });
+    }
+    if (minPrice !== null || maxPrice !== null) {
+      filter.price = {};
+      if (minPrice !== null) filter.price.$gte = minPrice;
+      if (maxPrice !== null) filter.price.$lte = maxPrice;
+    }
+
+    const sortKey = typeof req.query?.sort === "string" && PRODUCT_SORTS[req.query.sort] ? req.query.sort : "newest";
+    const query = Product.find(filter).sort(PRODUCT_SORTS[sortKey]);
+
+    // Older clients expect the whole (filtered) list as an array unless they ask for a page
+    if (req.query?.format === "array") {
+      if (req.query.page !== undefined || req.query.limit !== undefined) {
+        const page = toPositiveInt(req.query.page, 1);
+        const limit = Math.min(toPositiveInt(req.query.limit, PRODUCT_PAGE_DEFAULT), PRODUCT_PAGE_MAX);
+        query.skip((page - 1) * limit).limit(limit);
+      }
+      return res.json(await query.lean());
+    }
+
+    const page = toPositiveInt(req.query?.page, 1);
+    const limit = Math.min(toPositiveInt(req.query?.limit, PRODUCT_PAGE_DEFAULT), PRODUCT_PAGE_MAX);
+    const [products, total] = await Promise.all([
+      query.skip((page - 1) * limit).limit(limit).lean(),
+      Product.countDocuments(filter),
+    ]);
+
+    return res.json({
+      success: true,
+      products,
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit),
+    });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const parseCategoryInput = (body, { partial = false } = {}) => {
+  const out = {};
+  if (!partial || body?.slug !== undefined) {
+    const slug = String(body?.slug || "").trim().toLowerCase();
+    if (!SLUG_PATTERN.test(slug)) return { error: "slug must be lowercase letters, digits and dashes" };
+    out.slug = slug;
+  }
+  if (!partial || body?.name !== undefined) {
+    const name = String(body?.name || "").trim();
+    if (!name) return { error: "name is required" };
+    out.name = name;
+  }
+  if (body?.icon !== undefined) out.icon = String(body.icon || "").trim() || undefined;
+  if (body?.order !== undefined) {
+    const order = Number(body.order);
+    if (!Number.isInteger(order)) return { error: "Invalid order" };
+    out.order = order;
+  }
+  if (body?.active !== undefined) out.active = body.active === true || body.active === "true";
+  if (body?.preorder !== undefined) out.preorder = body.preorder === true || body.preorder === "true";
+  return { value: out };
+};
+
+// GET /api/products/categories (public) — active categories with product counts;
+// admins may add ?includeInactive=true
+router.get("/categories", async (req, res) => {
+  const guard = ensureMongo(res);
+  if (guard) return guard;
+  try {
+    const includeInactive = req.query?.includeInactive === "true" && readOptionalUser(req)?.role === "admin";
+    const categories = await listCategoriesWithCounts({ includeInactive });
+    return res.json({ success: true, categories });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// POST /api/products/categories (admin)
+router.post("/categories", authGuard, adminOnly, async (req, res) => {
+  const guard = ensureMongo(res);
+  if (guard) return guard;
+  try {
+    const input = parseCategoryInput(req.body);
+    if (input.error) return res.status(400).json({ success: false, error: input.error });
+    const category = await Category.create(input.value);
+    return res.status(201).json({ success: true, category });
+  } catch (err) {
+    if (err?.code === 11000) {
+      return res.status(409).json({ success: false, error: "A category with this slug or name already exists" });
     }
-    const items = await Product.find(filter).sort({ createdAt: -1 }).lean();
-    return res.json(items);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// PUT /api/products/categories/:categoryId (admin) — renames are copied onto the products
+router.put("/categories/:categoryId", authGuard, adminOnly, async (req, res) => {
+  const guard = ensureMongo(res);
+  if (guard) return guard;
+  try {
+    const { categoryId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(categoryId)) {
+      return res.status(400).json({ success: false, error: "Invalid category id" });
+    }
+    const input = parseCategoryInput(req.body, { partial: true });
+    if (input.error) return res.status(400).json({ success: false, error: input.error });
+
+    const category = await Category.findByIdAndUpdate(categoryId, { $set: input.value }, { new: true });
+    if (!category) return res.status(404).json({ success: false, error: "Category not found" });
+
+    if (input.value.name) {
+      await Product.updateMany({ categoryId: category._id }, { $set: { category: category.name } });
+    }
+    return res.json({ success: true, category });
+  } catch (err) {
+    if (err?.code === 11000) {
+      return res.status(409).json({ success: false, error: "A category with this slug or name already exists" });
+    }
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// DELETE /api/products/categories/:categoryId (admin) — only when no product uses it
+router.delete("/categories/:categoryId", authGuard, adminOnly, async (req, res) => {
+  const guard = ensureMongo(res);
+  if (guard) return guard;
+  try {
+    const { categoryId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(categoryId)) {
+      return res.status(400).json({ success: false, error: "Invalid category id" });
+    }
+    const inUse = await Product.countDocuments({ categoryId });
+    if (inUse > 0) {
+      return res
+        .status(409)
+        .json({ success: false, error: `${inUse} products use this category; deactivate it instead`, productCount: inUse });
+    }
+    const category = await Category.findByIdAndDelete(categoryId);
+    if (!category) return res.status(404).json({ success: false, error: "Category not found" });
+    return res.json({ success: true });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// GET /api/products/stock/low (admin) ?threshold=
+router.get("/stock/low", authGuard, adminOnly, async (req, res) => {
+  const guard = ensureMongo(res);
+  if (guard) return guard;
+  try {
+    const threshold = req.query?.threshold !== undefined ? toNonNegativeInt(req.query.threshold) : undefined;
+    if (req.query?.threshold !== undefined && threshold === undefined) {
+      return res.status(400).json({ success: false, error: "Invalid threshold" });
+    }
+    const products = await lowStockReport({ threshold });
+    return res.json({ success: true, products });
   } catch (err) {
     return res.status(500).json({ success: false, error: err.message });
   }
@@ -150,26 +483,105 @@ router.post("/", authGuard, adminOnly, maybeUploadImage, async (req, res) => {
   const guard = ensureMongo(res);
   if (guard) return guard;
   try {
-    const { name, price, description, category } = req.body || {};
-    if (!name || !price || !category) {
-      return res
-        .status(400)
-        .json({ success: false, error: "name, price and category are required" });
-    }
-    if (!ALLOWED_CATEGORIES.has(String(category))) return res.status(400).json({ success: false, error: "Invalid category" });
-    const parsedPrice = Number(price);
-    if (!Number.isFinite(parsedPrice) || parsedPrice < 0) {
-      return res.status(400).json({ success: false, error: "Invalid price" });
+    const input = await parseProductInput(req.body);
+    if (input.error) return res.status(400).json({ success: false, error: input.error });
+    const stockInput = parseStockInput(req.body);
+    if (stockInput.error) return res.status(400).json({ success: false, error: stockInput.error });
+    const variantInput = req.body?.variants !== undefined ? parseVariantsInput(req.body.variants) : null;
+    if (variantInput?.error) return res.status(400).json({ success: false, error: variantInput.error });
+    const takenSku = variantInput && (await findTakenSku(variantInput.value));
+    if (takenSku) {
+      return res.status(409).json({ success: false, error: `SKU ${takenSku} is already used by another product` });
     }
     const imageFromBody = extractImageFilename(req.body?.image);
     const item = await Product.create({
-      name: String(name).trim(),
-      price: parsedPrice,
-      category: String(category),
-      description: description ? String(description).trim() : undefined,
+      ...input.value,
       image: req.file ? req.file.filename : imageFromBody,
+      stockMode: defaultStockMode(input.category, {
+        tracked: stockInput.value.stock !== undefined || Boolean(variantInput?.added.length),
+      }),
+      ...stockInput.value,
+      ...(variantInput ? { variants: variantInput.value } : {}),
     });
+    if (variantInput?.added.length) {
+      await recordInitialVariantStock(item, variantInput.added, req.user?.userId || req.user?.adminId);
+    }
+    if (item.stock > 0) {
+      await StockAdjustment.create({
+        product: item._id,
+        delta: item.stock,
+        stockAfter: item.stock,
+        reason: "restock",
+        note: "Initial stock",
+        by: req.user?.userId || req.user?.adminId,
+      });
+    }
     return res.status(201).json({ success: true, product: item });
+  } catch (err) {
+    if (err?.code === 11000) {
+      return res.status(409).json({ success: false, error: "A variant SKU is already used by another product" });
+    }
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// POST /api/products/checkout (public; guests or logged-in users)
+router.post("/checkout", async (req, res) => {
+  const guard = ensureMongo(res);
+  if (guard) return guard;
+  try {
+    const user = readOptionalUser(req);
+    const customerName = String(req.body?.customerName || "").trim();
+    const phone = String(req.body?.phone || user?.phone || "").trim();
+    const note = String(req.body?.note || "").trim();
+    const address = String(req.body?.delivery?.address || "").trim();
+
+    if (!customerName || !phone) {
+      return res.status(400).json({ success: false, error: "customerName and phone are required" });
+    }
+    if (!address) {
+      return res.status(400).json({ success: false, error: "delivery.address is required" });
+    }
+
+    const built = await buildOrderLines(req.body?.items);
+    if (!built.ok) {
+      return res
+        .status(built.status)
+        .json({
+          success: false,
+          error: built.error,
+          ...(built.missing ? { missing: built.missing } : {}),
+          ...(built.variants ? { variants: built.variants } : {}),
+        });
+    }
+
+    const placed = await createProductOrder({
+      userId: user?.userId,
+      customerName,
+      phone,
+      note,
+      items: built.lines,
+      ...orderTotals(built.lines),
+      delivery: {
+        address,
+        district: String(req.body?.delivery?.district || "").trim() || undefined,
+        note: String(req.body?.delivery?.note || "").trim() || undefined,
+      },
+      status: "NEW",
+    });
+    if (!placed.ok) {
+      return res
+        .status(placed.status)
+        .json({
+          success: false,
+          error: placed.error,
+          productId: placed.productId,
+          variantId: placed.variantId,
+          available: placed.available,
+        });
+    }
+
+    return res.status(201).json({ success: true, order: placed.order });
   } catch (err) {
     return res.status(500).json({ success: false, error: err.message });
   }
@@ -185,34 +597,299 @@ router.post("/:id/order", async (req, res) => {
       return res.status(400).json({ success: false, error: "Invalid product id" });
     }
 
-    const product = await Product.findById(id).select("_id name");
-    if (!product) {
-      return res.status(404).json({ success: false, error: "Product not found" });
-    }
-
     const customerName = String(req.body?.customerName || "").trim();
     const phone = String(req.body?.phone || "").trim();
     const note = String(req.body?.note || "").trim();
     const quantityInput = Number(req.body?.quantity || 1);
     const quantity = Number.isFinite(quantityInput) ? Math.max(1, Math.floor(quantityInput)) : 1;
 
+    // Products with variants need a variantId; the line snapshots its label and price
+    const built = await buildOrderLines([{ productId: id, variantId: req.body?.variantId, quantity }]);
+    if (!built.ok) {
+      return res
+        .status(built.status)
+        .json({ success: false, error: built.error, ...(built.variants ? { variants: built.variants } : {}) });
+    }
+    const [line] = built.lines;
+
     if (!customerName || !phone) {
       return res
         .status(400)
         .json({ success: false, error: "customerName and phone are required" });
     }
 
-    const order = await ProductOrder.create({
-      productId: product._id,
-      productName: product.name,
+    const placed = await createProductOrder({
+      productId: line.product,
+      productName: line.name,
       customerName,
       phone,
       quantity,
       note,
+      items: [line],
+      ...orderTotals([line], 0),
       status: "NEW",
     });
+    if (!placed.ok) {
+      return res
+        .status(placed.status)
+        .json({
+          success: false,
+          error: placed.error,
+          productId: placed.productId,
+          variantId: placed.variantId,
+          available: placed.available,
+        });
+    }
+
+    return res.status(201).json({ success: true, order: placed.order });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+const GALLERY_MAX = toPositiveInt(process.env.PRODUCT_GALLERY_MAX, 10);
+
+const maybeUploadGallery = (req, res, next) => {
+  if (req.is("multipart/form-data")) {
+    return ensureUploadDiskFree(req, res, () => upload.array("images", GALLERY_MAX)(req, res, next));
+  }
+  return next();
+};
+
+const discardUploads = (req) => {
+  if (req.file) deleteUploadedFile(req.file.filename);
+  (req.files || []).forEach((file) => deleteUploadedFile(file.filename));
+};
+
+const findProductForEdit = async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ success: false, error: "Invalid product id" });
+    return null;
+  }
+  const item = await Product.findById(id);
+  if (!item) {
+    res.status(404).json({ success: false, error: "Product not found" });
+    return null;
+  }
+  return item;
+};
+
+// PUT /api/products/:id validates like create; PATCH /api/products/:id changes only the fields sent
+const updateProduct = (partial) => async (req, res) => {
+  const guard = ensureMongo(res);
+  if (guard) {
+    discardUploads(req);
+    return guard;
+  }
+  // Once saved, the product refers to the new upload, so it must survive later errors
+  let saved = false;
+  try {
+    const item = await findProductForEdit(req, res);
+    if (!item) return discardUploads(req);
+
+    const input = await parseProductInput(req.body, { partial });
+    const stockInput = parseStockInput(req.body);
+    const variantInput =
+      req.body?.variants !== undefined ? parseVariantsInput(req.body.variants, item.variants || []) : null;
+    const error = input.error || stockInput.error || variantInput?.error;
+    if (error) {
+      discardUploads(req);
+      return res.status(400).json({ success: false, error });
+    }
+    const takenSku = variantInput && (await findTakenSku(variantInput.value, item._id));
+    if (takenSku) {
+      discardUploads(req);
+      return res.status(409).json({ success: false, error: `SKU ${takenSku} is already used by another product` });
+    }
+
+    const { stock, ...stockSettings } = stockInput.value;
+    item.set({ ...input.value, ...stockSettings });
+    if (variantInput) item.variants = variantInput.value;
+
+    // A new upload (or removeImage) replaces the main image; the old file is deleted after saving
+    const previousImage = item.image;
+    if (req.file) {
+      item.image = req.file.filename;
+    } else if (req.body?.removeImage === true || req.body?.removeImage === "true") {
+      item.image = undefined;
+    } else if (req.body?.image !== undefined) {
+      item.image = extractImageFilename(req.body.image);
+    }
+
+    await item.save();
+    saved = true;
+    if (variantInput?.added.length) {
+      await recordInitialVariantStock(item, variantInput.added, req.user?.userId || req.user?.adminId);
+    }
+    if (previousImage && previousImage !== item.image && !(item.images || []).includes(previousImage)) {
+      deleteUploadedFile(previousImage);
+    }
+
+    // Stock changes still go through the adjustment log
+    if (stock !== undefined && stock !== item.stock) {
+      const result = await adjustStock(item._id, {
+        set: stock,
+        reason: "correction",
+        note: "Product update",
+        by: req.user?.userId || req.user?.adminId,
+      });
+      if (!result.ok) {
+        return res.status(result.status).json({ success: false, error: result.error, product: item });
+      }
+      return res.json({ success: true, product: result.product });
+    }
+
+    return res.json({ success: true, product: item });
+  } catch (err) {
+    if (!saved) discardUploads(req);
+    if (err?.code === 11000) {
+      return res.status(409).json({ success: false, error: "A variant SKU is already used by another product" });
+    }
+    return res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+router.put("/:id", authGuard, adminOnly, maybeUploadImage, updateProduct(false));
+router.patch("/:id", authGuard, adminOnly, maybeUploadImage, updateProduct(true));
+
+// POST /api/products/:id/images (admin) — multipart "images" (one or more), appended to the gallery
+router.post("/:id/images", authGuard, adminOnly, maybeUploadGallery, async (req, res) => {
+  const guard = ensureMongo(res);
+  if (guard) {
+    discardUploads(req);
+    return guard;
+  }
+  try {
+    const item = await findProductForEdit(req, res);
+    if (!item) return discardUploads(req);
+
+    const added = (req.files || []).map((file) => file.filename);
+    if (added.length === 0) {
+      return res.status(400).json({ success: false, error: "No images uploaded (field \"images\")" });
+    }
+    if ((item.images || []).length + added.length > GALLERY_MAX) {
+      discardUploads(req);
+      return res.status(400).json({ success: false, error: `A product can have at most ${GALLERY_MAX} gallery images` });
+    }
+
+    item.images = [...(item.images || []), ...added];
+    await item.save();
+    return res.status(201).json({ success: true, product: item });
+  } catch (err) {
+    discardUploads(req);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// PUT /api/products/:id/images/order (admin) { images: [filename, ...] } — must list every gallery image once
+router.put("/:id/images/order", authGuard, adminOnly, async (req, res) => {
+  const guard = ensureMongo(res);
+  if (guard) return guard;
+  try {
+    const item = await findProductForEdit(req, res);
+    if (!item) return undefined;
+
+    const requested = Array.isArray(req.body?.images) ? req.body.images.map(extractImageFilename) : [];
+    const current = item.images || [];
+    const samePhotos =
+      requested.length === current.length &&
+      new Set(requested).size === requested.length &&
+      requested.every((filename) => current.includes(filename));
+    if (!samePhotos) {
+      return res.status(400).json({ success: false, error: "images must list every gallery image exactly once" });
+    }
+
+    item.images = requested;
+    await item.save();
+    return res.json({ success: true, product: item });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// DELETE /api/products/:id/images/:filename (admin)
+router.delete("/:id/images/:filename", authGuard, adminOnly, async (req, res) => {
+  const guard = ensureMongo(res);
+  if (guard) return guard;
+  try {
+    const item = await findProductForEdit(req, res);
+    if (!item) return undefined;
+
+    const filename = extractImageFilename(req.params.filename);
+    if (!(item.images || []).includes(filename)) {
+      return res.status(404).json({ success: false, error: "Image not found on this product" });
+    }
+
+    item.images = item.images.filter((image) => image !== filename);
+    await item.save();
+    if (item.image !== filename) deleteUploadedFile(filename);
+    return res.json({ success: true, product: item });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// POST /api/products/:id/stock (admin) { delta | set, reason, variantId?, note? }
+router.post("/:id/stock", authGuard, adminOnly, async (req, res) => {
+  const guard = ensureMongo(res);
+  if (guard) return guard;
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, error: "Invalid product id" });
+    }
+
+    const reason = String(req.body?.reason || "").trim();
+    if (!ADJUSTMENT_REASONS.has(reason)) {
+      return res.status(400).json({ success: false, error: "reason must be restock, correction or damaged" });
+    }
+
+    const hasSet = req.body?.set !== undefined;
+    const set = hasSet ? toNonNegativeInt(req.body.set) : undefined;
+    const delta = Number(req.body?.delta);
+    if (hasSet ? set === undefined : !Number.isInteger(delta) || delta === 0) {
+      return res.status(400).json({ success: false, error: "Provide a non-negative integer set or a non-zero integer delta" });
+    }
+
+    const variantId = req.body?.variantId ? String(req.body.variantId) : undefined;
+    if (variantId && !mongoose.Types.ObjectId.isValid(variantId)) {
+      return res.status(400).json({ success: false, error: "Invalid variant id" });
+    }
+
+    const result = await adjustStock(id, {
+      variant: variantId,
+      delta: hasSet ? undefined : delta,
+      set,
+      reason,
+      note: String(req.body?.note || "").trim() || undefined,
+      by: req.user?.userId || req.user?.adminId,
+    });
+    if (!result.ok) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    return res.json({ success: true, product: result.product, adjustment: result.adjustment });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// GET /api/products/:id/stock/history (admin)
+router.get("/:id/stock/history", authGuard, adminOnly, async (req, res) => {
+  const guard = ensureMongo(res);
+  if (guard) return guard;
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, error: "Invalid product id" });
+    }
 
-    return res.status(201).json({ success: true, order });
+    const adjustments = await StockAdjustment.find({ product: id })
+      .sort({ createdAt: -1 })
+      .limit(Math.min(toPositiveInt(req.query?.limit, 100), 500))
+      .lean();
+    return res.json({ success: true, adjustments });
   } catch (err) {
     return res.status(500).json({ success: false, error: err.message });
   }
@@ -228,6 +905,7 @@ router.delete("/:id", authGuard, adminOnly, async (req, res) => {
     if (item.image) {
       deleteUploadedFile(item.image);
     }
+    (item.images || []).forEach((image) => deleteUploadedFile(image));
     return res.json({ success: true });
   } catch (err) {
     return res.status(500).json({ success: false, error: err.message });
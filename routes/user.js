@@ -5,6 +5,7 @@ const bcrypt = require("bcryptjs");
 const router = express.Router();
 
 const User = require("../models/User");
+const Notification = require("../models/Notification");
 const { createToken, verifyToken: verifyJwt } = require("../auth");
 
 /* ======================
@@ -268,4 +269,49 @@ router.patch("/profile/avatar", authGuard, async (req, res) => {
     }
 });
 
+// NOTIFICATIONS
+router.get("/notifications", authGuard, async (req, res) => {
+    try {
+        const filter = { user: req.user.userId };
+        if (req.query.unread === "true") filter.readAt = null;
+
+        const notifications = await Notification.find(filter)
+            .sort({ createdAt: -1 })
+            .limit(50)
+            .lean();
+
+        return sendSuccess(res, 200, {
+            notifications: notifications.map((n) => ({
+                id: String(n._id),
+                type: n.type,
+                title: n.title,
+                message: n.message ?? null,
+                data: n.data ?? null,
+                readAt: n.readAt ?? null,
+                createdAt: n.createdAt ?? null,
+            })),
+        });
+    } catch (e) {
+        return sendError(res, 500, "Notifications load failed", { details: e.message });
+    }
+});
+
+router.post("/notifications/:id/read", authGuard, async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return sendError(res, 400, "Invalid notification id");
+    }
+
+    try {
+        const notification = await Notification.findOneAndUpdate(
+            { _id: req.params.id, user: req.user.userId },
+            { $set: { readAt: new Date() } },
+            { new: true }
+        );
+        if (!notification) return sendError(res, 404, "Notification not found");
+        return sendSuccess(res, 200, { id: String(notification._id), readAt: notification.readAt });
+    } catch (e) {
+        return sendError(res, 500, "Notification update failed", { details: e.message });
+    }
+});
+
 module.exports = router;
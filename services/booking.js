@@ -0,0 +1,229 @@
+const Artist = require("../models/Artist");
+const ArtistAvailability = require("../models/ArtistAvailability");
+const Booking = require("../models/Booking");
+const Location = require("../models/Location");
+const Service = require("../models/Service");
+const { DEFAULT_TIME_ZONE, isPastInZone, zonedTimeToUtc } = require("../lib/timezone");
+const {
+    claimSlots,
+    coveringSlotTimes,
+    releaseBookingSlots,
+    releaseSlots,
+} = require("./slots");
+const { offerFreedSlotsSafely } = require("./waitlist");
+
+const toNonNegativeNumber = (raw, fallback) => {
+    if (raw === undefined || raw === null || String(raw).trim() === "") return fallback;
+    const parsed = Number(raw);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+// Customers may not cancel or move a booking closer than this to its start time.
+const BOOKING_CHANGE_CUTOFF_HOURS = toNonNegativeNumber(process.env.BOOKING_CHANGE_CUTOFF_HOURS, 2);
+
+// Booking dates and times are wall-clock values in the salon's zone.
+const bookingStartsAt = ({ date, time }, timeZone = DEFAULT_TIME_ZONE) => zonedTimeToUtc(date, time, timeZone);
+
+const isWithinChangeCutoff = (booking, timeZone = DEFAULT_TIME_ZONE, now = new Date()) => {
+    const startsAt = bookingStartsAt(booking, timeZone).getTime();
+    const cutoffMs = BOOKING_CHANGE_CUTOFF_HOURS * 60 * 60 * 1000;
+    return startsAt - cutoffMs <= now.getTime();
+};
+
+const findOfferedService = (serviceId, { locationId, artistId }) =>
+    Service.findOne({ _id: serviceId, active: true, locations: locationId, artists: artistId }).lean();
+
+/**
+ * Reserve the slots for a new booking and create it. Shared by customer
+ * bookings and staff walk-ins; ids, date and time must already be validated.
+ */
+const createBooking = async ({ locationId, artistId, serviceId, date, time, notes, user, customer, source }) => {
+    const [location, artist, service] = await Promise.all([
+        Location.findById(locationId).lean(),
+        Artist.findOne({ _id: artistId, locations: locationId, active: true }).lean(),
+        serviceId ? findOfferedService(serviceId, { locationId, artistId }) : null,
+    ]);
+
+    if (!location) {
+        return { ok: false, status: 404, error: "Сонгосон салон олдсонгүй." };
+    }
+
+    if (!artist) {
+        return { ok: false, status: 404, error: "Энэ салонд сонгосон артист олдсонгүй." };
+    }
+
+    if (serviceId && !service) {
+        return { ok: false, status: 404, error: "Энэ артист сонгосон үйлчилгээг үзүүлдэггүй." };
+    }
+
+    if (isPastInZone(date, time, location.timezone || DEFAULT_TIME_ZONE)) {
+        return { ok: false, status: 400, error: "Өнгөрсөн цагт захиалга өгөх боломжгүй." };
+    }
+
+    let times = [time];
+    if (service) {
+        const day = await ArtistAvailability.findOne({ artist: artistId, location: locationId, date }).lean();
+        times = day ? coveringSlotTimes(day.slots, time, service.durationMinutes) : null;
+        if (!times) {
+            return { ok: false, status: 409, error: "Энэ үйлчилгээнд хангалттай сул цаг байхгүй байна." };
+        }
+    }
+
+    const target = { artist: artist._id, location: location._id, date, times };
+    const availability = await claimSlots(target);
+    if (!availability) {
+        return { ok: false, status: 409, error: "Энэ цаг аль хэдийн захиалагдсан байна." };
+    }
+
+    const bookingData = {
+        user,
+        customer,
+        location: location._id,
+        artist: artist._id,
+        date,
+        time,
+        timeslot: `${date}T${time}`,
+        slotTimes: times,
+        status: "confirmed",
+        source,
+        notes: typeof notes === "string" ? notes.trim() || undefined : undefined,
+    };
+
+    if (service) {
+        bookingData.service = service._id;
+        bookingData.serviceName = service.name;
+        bookingData.durationMinutes = service.durationMinutes;
+        bookingData.price = service.price;
+    }
+
+    try {
+        const booking = await Booking.create(bookingData);
+        return { ok: true, booking };
+    } catch (err) {
+        await releaseSlots(target);
+        throw err;
+    }
+};
+
+/**
+ * Cancel a confirmed booking, free its availability slots and offer them to
+ * the waitlist. The status flip is conditional on the booking still being
+ * confirmed, so two concurrent cancels release the slots only once.
+ */
+const cancelBooking = async (booking, { cancelledBy, reason } = {}) => {
+    const cancelled = await Booking.findOneAndUpdate(
+        { _id: booking._id, status: "confirmed" },
+        {
+            $set: {
+                status: "cancelled",
+                cancelledAt: new Date(),
+                cancelledBy,
+                cancelReason: typeof reason === "string" ? reason.trim() || undefined : undefined,
+            },
+        },
+        { new: true },
+    );
+
+    if (!cancelled) {
+        return { ok: false, status: 409, error: "Зөвхөн баталгаажсан захиалгыг цуцлах боломжтой." };
+    }
+
+    await releaseBookingSlots(cancelled);
+    await offerFreedSlotsSafely({ artist: cancelled.artist, location: cancelled.location, date: cancelled.date });
+    return { ok: true, booking: cancelled };
+};
+
+/**
+ * Move a confirmed booking to another start time with the same artist and
+ * location. The new slots are claimed first; if the booking cannot be moved
+ * the claim is rolled back, otherwise the previous slots are released.
+ */
+const rescheduleBooking = async (booking, { date, time }) => {
+    if (booking.status !== "confirmed") {
+        return { ok: false, status: 409, error: "Зөвхөн баталгаажсан захиалгын цагийг өөрчлөх боломжтой." };
+    }
+
+    if (booking.date === date && booking.time === time) {
+        return { ok: false, status: 400, error: "Шинэ цаг одоогийн цагтай ижил байна." };
+    }
+
+    const location = await Location.findById(booking.location).select("timezone").lean();
+    if (isPastInZone(date, time, location?.timezone || DEFAULT_TIME_ZONE)) {
+        return { ok: false, status: 400, error: "Өнгөрсөн цагт захиалга шилжүүлэх боломжгүй." };
+    }
+
+    let times = [time];
+    if (booking.durationMinutes) {
+        const day = await ArtistAvailability.findOne({ artist: booking.artist, location: booking.location, date }).lean();
+        times = day ? coveringSlotTimes(day.slots, time, booking.durationMinutes) : null;
+        if (!times) {
+            return { ok: false, status: 409, error: "Энэ үйлчилгээнд хангалттай сул цаг байхгүй байна." };
+        }
+    }
+
+    const target = { artist: booking.artist, location: booking.location, date, times };
+    const claimed = await claimSlots(target);
+    if (!claimed) {
+        return { ok: false, status: 409, error: "Энэ цаг аль хэдийн захиалагдсан байна." };
+    }
+
+    let moved = null;
+    try {
+        moved = await Booking.findOneAndUpdate(
+            { _id: booking._id, status: "confirmed", date: booking.date, time: booking.time },
+            {
+                $set: {
+                    date,
+                    time,
+                    timeslot: `${date}T${time}`,
+                    slotTimes: times,
+                    rescheduledAt: new Date(),
+                },
+                $push: { previousTimeslots: booking.timeslot },
+            },
+            { new: true },
+        );
+    } catch (err) {
+        await releaseSlots(target);
+        throw err;
+    }
+
+    if (!moved) {
+        await releaseSlots(target);
+        return { ok: false, status: 409, error: "Захиалга өөрчлөгдсөн байна. Дахин оролдоно уу." };
+    }
+
+    await releaseBookingSlots(booking);
+    await offerFreedSlotsSafely({ artist: booking.artist, location: booking.location, date: booking.date });
+    return { ok: true, booking: moved };
+};
+
+// Before cancelled bookings released their timeslot this index covered every
+// status. autoIndex is off in production, so startup swaps it out explicitly.
+const LEGACY_TIMESLOT_INDEX = "artist_1_timeslot_1";
+
+const ensureBookingIndexes = async () => {
+    let indexes = [];
+    try {
+        indexes = await Booking.collection.indexes();
+    } catch (err) {
+        // A fresh database has no bookings collection yet
+        if (err?.codeName !== "NamespaceNotFound") throw err;
+    }
+
+    const legacy = indexes.some((index) => index.name === LEGACY_TIMESLOT_INDEX);
+    if (legacy) await Booking.collection.dropIndex(LEGACY_TIMESLOT_INDEX);
+    await Booking.createIndexes();
+    return legacy;
+};
+
+module.exports = {
+    BOOKING_CHANGE_CUTOFF_HOURS,
+    bookingStartsAt,
+    cancelBooking,
+    createBooking,
+    ensureBookingIndexes,
+    findOfferedService,
+    isWithinChangeCutoff,
+    rescheduleBooking,
+};
@@ -0,0 +1,101 @@
+const ArtistAvailability = require("../models/ArtistAvailability");
+const Booking = require("../models/Booking");
+const Location = require("../models/Location");
+const { buildCalendar } = require("../lib/ical");
+const { DEFAULT_TIME_ZONE, dateInZone, zonedTimeToUtc } = require("../lib/timezone");
+const { DEFAULT_SLOT_MINUTES, slotEndMinutes } = require("./slots");
+const { addDays, toMinutes } = require("./schedule");
+
+const FEED_PAST_DAYS = 30;
+const FEED_FUTURE_DAYS = 90;
+
+const locationLabel = (location) =>
+    location ? [location.name, location.address, location.district, location.city].filter(Boolean).join(", ") : "";
+
+const locationTimeZone = (location) => location?.timezone || DEFAULT_TIME_ZONE;
+
+// iCalendar only knows CONFIRMED and CANCELLED for our statuses; the outcome of a
+// past visit has no STATUS and is spelled out in the title instead.
+const ICAL_STATUS = { confirmed: "CONFIRMED", cancelled: "CANCELLED" };
+const OUTCOME_LABELS = { completed: "Дууссан", no_show: "Ирээгүй" };
+
+const bookingEvent = (booking, location, { summary, description }) => {
+    const outcome = OUTCOME_LABELS[booking.status];
+    const start = zonedTimeToUtc(booking.date, booking.time, locationTimeZone(location));
+    const minutes = booking.durationMinutes || DEFAULT_SLOT_MINUTES;
+    return {
+        uid: `booking-${booking._id}@yuki`,
+        start,
+        end: new Date(start.getTime() + minutes * 60000),
+        summary: outcome ? `[${outcome}] ${summary}` : summary,
+        description,
+        location: locationLabel(location),
+        status: ICAL_STATUS[booking.status],
+        updatedAt: booking.updatedAt,
+    };
+};
+
+// One transparent block per working day so the artist sees their shift next to bookings.
+const workingDayEvent = (day, location) => {
+    const slots = [...(day.slots || [])].sort((a, b) => a.time.localeCompare(b.time));
+    if (slots.length === 0) return null;
+
+    const first = slots[0].time;
+    const start = zonedTimeToUtc(day.date, first, locationTimeZone(location));
+    const lengthMinutes = slotEndMinutes(slots, slots.length - 1) - toMinutes(first);
+    const free = slots.filter((slot) => slot.isBooked !== true).length;
+
+    return {
+        uid: `shift-${day.artist}-${day.location}-${day.date}@yuki`,
+        start,
+        end: new Date(start.getTime() + lengthMinutes * 60000),
+        summary: `Ажлын цаг (${free}/${slots.length} сул)`,
+        location: locationLabel(location),
+        transparent: true,
+        updatedAt: day.updatedAt,
+    };
+};
+
+const buildArtistCalendar = async (artist) => {
+    const today = dateInZone(new Date(), DEFAULT_TIME_ZONE);
+    const dateRange = { $gte: addDays(today, -FEED_PAST_DAYS), $lte: addDays(today, FEED_FUTURE_DAYS) };
+
+    const [bookings, days] = await Promise.all([
+        Booking.find({ artist: artist._id, date: dateRange }).lean(),
+        ArtistAvailability.find({ artist: artist._id, date: dateRange }).lean(),
+    ]);
+
+    const locationIds = new Set([...bookings, ...days].map((doc) => doc.location.toString()));
+    const locations = await Location.find({ _id: { $in: Array.from(locationIds) } }).lean();
+    const locationsById = new Map(locations.map((location) => [location._id.toString(), location]));
+
+    const events = [
+        ...days.map((day) => workingDayEvent(day, locationsById.get(day.location.toString()))),
+        ...bookings.map((booking) => bookingEvent(booking, locationsById.get(booking.location.toString()), {
+            summary: `${booking.serviceName || "Захиалга"}: ${booking.customer?.name || booking.customer?.phone || "Үйлчлүүлэгч"}`,
+            description: [booking.customer?.phone, booking.notes].filter(Boolean).join("\n"),
+        })),
+    ].filter(Boolean);
+
+    return buildCalendar({ name: `${artist.name} - Yuki`, events });
+};
+
+// Expects booking.location and booking.artist to be populated.
+const buildBookingCalendar = (booking) => {
+    const location = booking.location || null;
+    const artistName = booking.artist?.name || "";
+    return buildCalendar({
+        name: "Yuki захиалга",
+        events: [
+            bookingEvent(booking, location, {
+                summary: `${booking.serviceName || "Салоны захиалга"}${artistName ? ` - ${artistName}` : ""}`,
+                description: [location?.name, location?.phone].filter(Boolean).join("\n"),
+            }),
+        ],
+    });
+};
+
+module.exports = {
+    buildArtistCalendar,
+    buildBookingCalendar,
+};
@@ -0,0 +1,149 @@
+const CargoPayment = require("../models/CargoPayment");
+const Order = require("../models/Order");
+
+const PAYMENT_METHODS = ["cash", "bank_transfer", "qpay"];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// What the customer still owes on one order: freight plus any storage fee
+const amountDue = (order) =>
+    Math.max(0, round((order.price || 0) + (order.storageFee || 0) - (order.paidAmount || 0)));
+
+// Matches the order only while at least `share` is still owed on it, so two
+// concurrent payments cannot both settle the same balance
+const stillOwes = (orderId, share) => ({
+    _id: orderId,
+    status: { $ne: "CANCELLED" },
+    $expr: {
+        $gte: [
+            {
+                $subtract: [
+                    { $add: [{ $ifNull: ["$price", 0] }, { $ifNull: ["$storageFee", 0] }] },
+                    { $ifNull: ["$paidAmount", 0] },
+                ],
+            },
+            round(share - 0.005),
+        ],
+    },
+});
+
+const rollbackAllocations = (applied, by) =>
+    Promise.all(
+        applied.map((allocation) =>
+            Order.updateOne(
+                { _id: allocation.order },
+                { $inc: { paidAmount: -allocation.amount }, $set: { lastUpdatedBy: by } }
+            )
+        )
+    );
+
+/**
+ * Record a payment and allocate it across the given orders (all owned by the
+ * same customer) in the order they are listed. The amount may not exceed
+ * what is outstanding on those orders.
+ *
+ * Each allocation is a conditional update against the live balance; if any
+ * order no longer owes its share the applied ones are reverted and nothing
+ * is recorded.
+ */
+const recordPayment = async ({ orders, amount, method, reference, note, by, now = new Date() }) => {
+    if (!PAYMENT_METHODS.includes(method)) {
+        return { ok: false, status: 400, error: "Invalid payment method" };
+    }
+    if (method !== "cash" && !reference) {
+        return { ok: false, status: 400, error: "reference required for bank_transfer and qpay payments" };
+    }
+
+    const owners = new Set(orders.map((order) => String(order.userId)));
+    if (owners.size !== 1) {
+        return { ok: false, status: 400, error: "All orders in one payment must belong to the same customer" };
+    }
+
+    const outstanding = round(orders.reduce((sum, order) => sum + amountDue(order), 0));
+    if (amount > outstanding) {
+        return { ok: false, status: 400, error: `Amount exceeds outstanding balance (${outstanding})` };
+    }
+
+    let remaining = amount;
+    const allocations = [];
+    for (const order of orders) {
+        if (remaining <= 0) break;
+        const share = Math.min(remaining, amountDue(order));
+        if (share <= 0) continue;
+        allocations.push({ order: order._id, trackingNumber: order.trackingNumber, amount: share });
+        remaining = round(remaining - share);
+    }
+
+    const applied = [];
+    for (const allocation of allocations) {
+        const result = await Order.updateOne(stillOwes(allocation.order, allocation.amount), {
+            $inc: { paidAmount: allocation.amount },
+            $set: { lastUpdatedBy: by },
+        });
+        if (result.modifiedCount !== 1) {
+            await rollbackAllocations(applied, by);
+            return {
+                ok: false,
+                status: 409,
+                error: `Balance of ${allocation.trackingNumber} changed while recording the payment; reload and retry`,
+            };
+        }
+        applied.push(allocation);
+    }
+
+    let payment;
+    try {
+        payment = await CargoPayment.create({
+            userId: orders[0].userId,
+            amount,
+            method,
+            reference: reference || undefined,
+            note: note || undefined,
+            allocations,
+            receivedBy: by,
+            receivedAt: now,
+        });
+    } catch (err) {
+        await rollbackAllocations(applied, by);
+        throw err;
+    }
+
+    await Order.updateMany(
+        { _id: { $in: allocations.map((allocation) => allocation.order) } },
+        { $set: { paidAt: now } }
+    );
+
+    return { ok: true, payment };
+};
+
+/**
+ * Outstanding cargo balance for one customer: every live order that still
+ * has money owed, plus their most recent payments.
+ */
+const getCustomerBalance = async (userId, { paymentLimit = 20 } = {}) => {
+    const [orders, payments] = await Promise.all([
+        Order.find({ userId, status: { $ne: "CANCELLED" } })
+            .select("trackingNumber status price storageFee paidAmount paidAt createdAt")
+            .sort({ createdAt: 1 })
+            .lean(),
+        CargoPayment.find({ userId }).sort({ receivedAt: -1 }).limit(paymentLimit).lean(),
+    ]);
+
+    const outstanding = orders
+        .map((order) => ({ ...order, amountDue: amountDue(order) }))
+        .filter((order) => order.amountDue > 0);
+
+    return {
+        totalDue: round(outstanding.reduce((sum, order) => sum + order.amountDue, 0)),
+        totalPaid: round(orders.reduce((sum, order) => sum + (order.paidAmount || 0), 0)),
+        orders: outstanding,
+        payments,
+    };
+};
+
+module.exports = {
+    PAYMENT_METHODS,
+    amountDue,
+    getCustomerBalance,
+    recordPayment,
+};
@@ -0,0 +1,88 @@
+const CargoTariff = require("../models/CargoTariff");
+
+const round = (value, digits) => {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+};
+
+const volumetricWeightKg = (dimensions, divisor) => {
+    const { lengthCm, widthCm, heightCm } = dimensions || {};
+    if (![lengthCm, widthCm, heightCm].every((v) => typeof v === "number" && v > 0)) return 0;
+    return round((lengthCm * widthCm * heightCm) / divisor, 2);
+};
+
+/**
+ * Price a parcel with a tariff: the heavier of actual and volumetric weight
+ * times the per-kg rate, never below the minimum charge.
+ */
+const computeCargoPrice = ({ weightKg, dimensions, tariff }) => {
+    const divisor = tariff.volumetricDivisor || 6000;
+    const volumetric = volumetricWeightKg(dimensions, divisor);
+    const chargeable = Math.max(Number(weightKg) || 0, volumetric);
+    const price = Math.round(Math.max(chargeable * tariff.ratePerKg, tariff.minCharge || 0));
+
+    return {
+        volumetricWeightKg: volumetric,
+        chargeableWeightKg: round(chargeable, 2),
+        price,
+    };
+};
+
+const findTariff = (fromCountry, toCountry) =>
+    CargoTariff.findOne({
+        fromCountry: String(fromCountry || "").toUpperCase(),
+        toCountry: String(toCountry || "").toUpperCase(),
+        active: true,
+    }).lean();
+
+/**
+ * Reprice an order document in place from its route tariff.
+ * Returns false (and leaves the price untouched) when the route has no tariff.
+ */
+const applyTariffPrice = async (order, { by, now = new Date() } = {}) => {
+    const tariff = await findTariff(order.fromCountry, order.toCountry);
+    if (!tariff) return false;
+
+    const result = computeCargoPrice({
+        weightKg: order.weightKg,
+        dimensions: order.dimensions,
+        tariff,
+    });
+
+    order.volumetricWeightKg = result.volumetricWeightKg;
+    order.chargeableWeightKg = result.chargeableWeightKg;
+    order.pricing = {
+        tariffId: tariff._id,
+        ratePerKg: tariff.ratePerKg,
+        minCharge: tariff.minCharge,
+        volumetricDivisor: tariff.volumetricDivisor,
+        computedPrice: result.price,
+        computedAt: now,
+    };
+
+    if (order.price !== result.price) {
+        order.price = result.price;
+        order.priceUpdatedAt = now;
+        order.priceAudit.push({ price: result.price, source: "tariff", by, changedAt: now });
+    }
+
+    return true;
+};
+
+const parseDimensions = (input) => {
+    if (!input || typeof input !== "object") return null;
+    const dims = {
+        lengthCm: Number(input.lengthCm),
+        widthCm: Number(input.widthCm),
+        heightCm: Number(input.heightCm),
+    };
+    return Object.values(dims).every((v) => Number.isFinite(v) && v >= 0) ? dims : null;
+};
+
+module.exports = {
+    applyTariffPrice,
+    computeCargoPrice,
+    findTariff,
+    parseDimensions,
+    volumetricWeightKg,
+};
@@ -0,0 +1,229 @@
+const Order = require("../models/Order");
+const Shipment = require("../models/Shipment");
+const { applyStatusChange } = require("./cargo-status");
+
+const SHIPMENT_TRANSITIONS = {
+    OPEN: ["IN_TRANSIT", "CANCELLED"],
+    IN_TRANSIT: ["ARRIVED"],
+    ARRIVED: [],
+    CANCELLED: [],
+};
+
+// Order status each shipment status pushes down to its parcels
+const CASCADED_ORDER_STATUS = {
+    IN_TRANSIT: "IN_TRANSIT",
+    ARRIVED: "ARRIVED",
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Attach parcels to an open shipment. Only received, unarchived parcels that
+ * are not already travelling in another shipment are eligible.
+ */
+const addOrdersToShipment = async (shipment, trackingNumbers, { by } = {}) => {
+    if (shipment.status !== "OPEN") {
+        return { ok: false, status: 409, error: "Shipment is not open" };
+    }
+
+    const orders = await Order.find({ trackingNumber: { $in: trackingNumbers } })
+        .select("trackingNumber status shipment isArchived")
+        .lean();
+    const byTracking = new Map(orders.map((order) => [order.trackingNumber, order]));
+
+    const added = [];
+    const notFound = [];
+    const notEligible = [];
+
+    for (const trackingNumber of trackingNumbers) {
+        const order = byTracking.get(trackingNumber);
+        if (!order || order.isArchived) {
+            notFound.push(trackingNumber);
+            continue;
+        }
+        if (order.shipment && String(order.shipment) === String(shipment._id)) {
+            continue;
+        }
+
+        const claimed = await Order.updateOne(
+            { _id: order._id, status: "RECEIVED", shipment: null },
+            { $set: { shipment: shipment._id, lastUpdatedBy: by } }
+        );
+        if (claimed.modifiedCount === 0) {
+            notEligible.push({
+                trackingNumber,
+                status: order.status,
+                error: order.shipment ? "Already in another shipment" : "Only RECEIVED orders can be added",
+            });
+            continue;
+        }
+        added.push(order._id);
+    }
+
+    const updated = await Shipment.findOneAndUpdate(
+        { _id: shipment._id, status: "OPEN" },
+        { $addToSet: { orders: { $each: added } }, $set: { lastUpdatedBy: by } },
+        { new: true }
+    );
+
+    if (!updated) {
+        await Order.updateMany({ _id: { $in: added } }, { $unset: { shipment: "" } });
+        return { ok: false, status: 409, error: "Shipment is not open" };
+    }
+
+    return { ok: true, shipment: updated, added: added.length, notFound, notEligible };
+};
+
+const removeOrdersFromShipment = async (shipment, trackingNumbers, { by } = {}) => {
+    if (shipment.status !== "OPEN") {
+        return { ok: false, status: 409, error: "Orders can only be removed while the shipment is open" };
+    }
+
+    const orders = await Order.find({ trackingNumber: { $in: trackingNumbers }, shipment: shipment._id })
+        .select("_id trackingNumber")
+        .lean();
+    const ids = orders.map((order) => order._id);
+    const found = new Set(orders.map((order) => order.trackingNumber));
+
+    const updated = await Shipment.findOneAndUpdate(
+        { _id: shipment._id, status: "OPEN" },
+        { $pull: { orders: { $in: ids } }, $set: { lastUpdatedBy: by } },
+        { new: true }
+    );
+    if (!updated) {
+        return { ok: false, status: 409, error: "Orders can only be removed while the shipment is open" };
+    }
+
+    await Order.updateMany(
+        { _id: { $in: ids }, shipment: shipment._id },
+        { $unset: { shipment: "" }, $set: { lastUpdatedBy: by } }
+    );
+
+    return {
+        ok: true,
+        shipment: updated,
+        removed: ids.length,
+        notFound: trackingNumbers.filter((trackingNumber) => !found.has(trackingNumber)),
+    };
+};
+
+/**
+ * Move a shipment to `nextStatus` and cascade the matching status (with
+ * history) to every parcel in it. Parcels whose own status does not allow
+ * the move are reported instead of blocking the shipment.
+ */
+const changeShipmentStatus = async (shipment, nextStatus, { by, now = new Date() } = {}) => {
+    if (!SHIPMENT_TRANSITIONS[nextStatus]) {
+        return { ok: false, status: 400, error: "Invalid status" };
+    }
+    if (shipment.status === nextStatus) {
+        return { ok: true, shipment, changed: false };
+    }
+    if (!(SHIPMENT_TRANSITIONS[shipment.status] || []).includes(nextStatus)) {
+        return {
+            ok: false,
+            status: 409,
+            error: `Invalid status transition: ${shipment.status} -> ${nextStatus}`,
+            allowed: SHIPMENT_TRANSITIONS[shipment.status] || [],
+        };
+    }
+
+    const set = { status: nextStatus, lastUpdatedBy: by };
+    if (nextStatus === "IN_TRANSIT" && !shipment.departureDate) set.departureDate = now;
+    if (nextStatus === "ARRIVED" && !shipment.arrivalDate) set.arrivalDate = now;
+
+    const updated = await Shipment.findOneAndUpdate(
+        { _id: shipment._id, status: shipment.status },
+        {
+            $set: set,
+            $push: { statusHistory: { status: nextStatus, from: shipment.status, changedAt: now, by } },
+        },
+        { new: true }
+    );
+    if (!updated) {
+        return { ok: false, status: 409, error: "Shipment was changed concurrently, please retry" };
+    }
+
+    // A cancelled consolidation only releases its parcels back to the warehouse
+    if (nextStatus === "CANCELLED") {
+        await Order.updateMany(
+            { shipment: updated._id },
+            { $unset: { shipment: "" }, $set: { lastUpdatedBy: by } }
+        );
+        return { ok: true, shipment: updated, changed: true, cascade: null };
+    }
+
+    const orderStatus = CASCADED_ORDER_STATUS[nextStatus];
+    const orders = await Order.find({ _id: { $in: updated.orders }, shipment: updated._id });
+    const cascade = { updated: 0, unchanged: 0, notEligible: [] };
+
+    for (const order of orders) {
+        const change = applyStatusChange(order, orderStatus, { by, note: `Shipment ${updated.code}`, now });
+        if (!change.ok) {
+            cascade.notEligible.push({ trackingNumber: order.trackingNumber, status: order.status, error: change.error });
+            continue;
+        }
+        if (!change.changed) {
+            cascade.unchanged += 1;
+            continue;
+        }
+        await order.save();
+        cascade.updated += 1;
+    }
+
+    return { ok: true, shipment: updated, changed: true, cascade };
+};
+
+/**
+ * Per-customer parcel count and weight for everything in the shipment.
+ */
+const buildManifest = async (shipment) => {
+    const orders = await Order.find({ shipment: shipment._id })
+        .select("userId trackingNumber status weightKg chargeableWeightKg")
+        .populate("userId", "phone name")
+        .sort({ trackingNumber: 1 })
+        .lean();
+
+    const customers = new Map();
+    for (const order of orders) {
+        const key = String(order.userId?._id || order.userId || "unknown");
+        if (!customers.has(key)) {
+            customers.set(key, {
+                userId: order.userId?._id || order.userId || null,
+                phone: order.userId?.phone || null,
+                name: order.userId?.name || null,
+                count: 0,
+                totalWeightKg: 0,
+                trackingNumbers: [],
+            });
+        }
+        const entry = customers.get(key);
+        entry.count += 1;
+        entry.totalWeightKg = round(entry.totalWeightKg + (order.weightKg || 0));
+        entry.trackingNumbers.push(order.trackingNumber);
+    }
+
+    const rows = Array.from(customers.values()).sort((a, b) => b.totalWeightKg - a.totalWeightKg);
+
+    return {
+        code: shipment.code,
+        carrier: shipment.carrier || null,
+        status: shipment.status,
+        departureDate: shipment.departureDate || null,
+        arrivalDate: shipment.arrivalDate || null,
+        totals: {
+            customers: rows.length,
+            count: orders.length,
+            totalWeightKg: round(orders.reduce((sum, order) => sum + (order.weightKg || 0), 0)),
+        },
+        customers: rows,
+    };
+};
+
+module.exports = {
+    SHIPMENT_TRANSITIONS,
+    addOrdersToShipment,
+    buildManifest,
+    changeShipmentStatus,
+    removeOrdersFromShipment,
+};
@@ -0,0 +1,107 @@
+const crypto = require("crypto");
+const { amountDue } = require("./cargo-payments");
+
+const CARGO_STATUSES = [
+    "CREATED",
+    "RECEIVED",
+    "IN_TRANSIT",
+    "ARRIVED",
+    "DELIVERED",
+    "CANCELLED",
+];
+
+// Parcels move strictly forward; cancelling is only possible before they leave the warehouse
+const CARGO_TRANSITIONS = {
+    CREATED: ["RECEIVED", "CANCELLED"],
+    RECEIVED: ["IN_TRANSIT", "CANCELLED"],
+    IN_TRANSIT: ["ARRIVED"],
+    ARRIVED: ["DELIVERED"],
+    DELIVERED: [],
+    CANCELLED: [],
+};
+
+const PICKUP_CODE_LENGTH = 6;
+
+const generatePickupCode = () =>
+    String(crypto.randomInt(0, 10 ** PICKUP_CODE_LENGTH)).padStart(PICKUP_CODE_LENGTH, "0");
+
+const canTransition = (from, to) => (CARGO_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Move an order document to `nextStatus`, appending to statusHistory.
+ * Mutates the order; the caller saves it. Returns { ok, status, error, allowed }.
+ * DELIVERED is only reachable from the verified counter pickup (`handover`),
+ * and handing over an order that still has money owed needs `allowUnpaid`.
+ */
+const applyStatusChange = (
+    order,
+    nextStatus,
+    { by, cancelReason, note, handover = false, allowUnpaid = false, now = new Date() } = {}
+) => {
+    if (!CARGO_STATUSES.includes(nextStatus)) {
+        return { ok: false, status: 400, error: "Invalid status" };
+    }
+
+    if (order.status === nextStatus) {
+        return { ok: true, changed: false };
+    }
+
+    if (!canTransition(order.status, nextStatus)) {
+        return {
+            ok: false,
+            status: 409,
+            error: `Invalid status transition: ${order.status} -> ${nextStatus}`,
+            allowed: CARGO_TRANSITIONS[order.status] || [],
+        };
+    }
+
+    if (nextStatus === "DELIVERED" && !handover) {
+        return {
+            ok: false,
+            status: 409,
+            error: "Orders are delivered only through pickup code verification (POST /pickup)",
+        };
+    }
+
+    const reason = typeof cancelReason === "string" ? cancelReason.trim() : "";
+    if (nextStatus === "CANCELLED" && !reason) {
+        return { ok: false, status: 400, error: "cancelReason required to cancel an order" };
+    }
+
+    const unpaid = nextStatus === "DELIVERED" && amountDue(order) > 0;
+    if (unpaid && !allowUnpaid) {
+        return {
+            ok: false,
+            status: 409,
+            error: "Order is unpaid; record the payment or confirm an unpaid handover",
+            amountDue: amountDue(order),
+        };
+    }
+
+    order.statusHistory.push({
+        status: nextStatus,
+        from: order.status,
+        changedAt: now,
+        by,
+        note: typeof note === "string" && note.trim() ? note.trim() : undefined,
+        unpaidOverride: unpaid || undefined,
+    });
+    order.status = nextStatus;
+    order.lastUpdatedBy = by;
+    if (nextStatus === "CANCELLED") order.cancelReason = reason;
+    if (nextStatus === "ARRIVED") {
+        order.arrivedAt = now;
+        order.pickupCode = generatePickupCode();
+        order.pickupCodeIssuedAt = now;
+    }
+
+    return { ok: true, changed: true };
+};
+
+module.exports = {
+    CARGO_STATUSES,
+    CARGO_TRANSITIONS,
+    applyStatusChange,
+    canTransition,
+    generatePickupCode,
+};
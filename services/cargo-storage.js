@@ -0,0 +1,156 @@
+const CargoTariff = require("../models/CargoTariff");
+const Order = require("../models/Order");
+const { amountDue } = require("./cargo-payments");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toNonNegativeNumber = (raw, fallback) => {
+    if (raw === undefined || raw === null || String(raw).trim() === "") return fallback;
+    const parsed = Number(raw);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+// Used for routes whose tariff does not set its own storage rule
+const DEFAULT_STORAGE_FREE_DAYS = toNonNegativeNumber(process.env.CARGO_STORAGE_FREE_DAYS, 14);
+const DEFAULT_STORAGE_FEE_PER_DAY = toNonNegativeNumber(process.env.CARGO_STORAGE_FEE_PER_DAY, 0);
+
+const routeKey = (fromCountry, toCountry) => `${fromCountry || ""}-${toCountry || ""}`;
+
+const storageRule = (tariff) => ({
+    freeDays: tariff?.storageFreeDays ?? DEFAULT_STORAGE_FREE_DAYS,
+    feePerDay: tariff?.storageFeePerDay ?? DEFAULT_STORAGE_FEE_PER_DAY,
+});
+
+const loadStorageRules = async () => {
+    const tariffs = await CargoTariff.find({ active: true })
+        .select("fromCountry toCountry storageFreeDays storageFeePerDay")
+        .lean();
+    const rules = new Map(tariffs.map((tariff) => [routeKey(tariff.fromCountry, tariff.toCountry), storageRule(tariff)]));
+    return (order) => rules.get(routeKey(order.fromCountry, order.toCountry)) || storageRule(null);
+};
+
+// Orders that arrived before arrivedAt existed fall back to their history entry
+const arrivedAtOf = (order) => {
+    if (order.arrivedAt) return order.arrivedAt;
+    const entry = [...(order.statusHistory || [])].reverse().find((item) => item.status === "ARRIVED");
+    return entry?.changedAt || order.updatedAt;
+};
+
+/**
+ * Storage fee owed for an ARRIVED order at `now`: whole days stored past the
+ * route's free days, times the daily fee. Recomputed from scratch each time.
+ */
+const computeStorage = (order, rule, now = new Date()) => {
+    const arrivedAt = new Date(arrivedAtOf(order));
+    const daysStored = Math.max(0, Math.floor((now.getTime() - arrivedAt.getTime()) / DAY_MS));
+    const overdueDays = Math.max(0, daysStored - rule.freeDays);
+    return {
+        arrivedAt,
+        daysStored,
+        overdueDays,
+        storageFee: Math.round(overdueDays * rule.feePerDay),
+    };
+};
+
+const STORAGE_FIELDS = "trackingNumber userId fromCountry toCountry status arrivedAt statusHistory updatedAt price storageFee storageFeeDays paidAmount";
+
+/**
+ * Scheduled sweep: bring every ARRIVED order's storage fee up to date.
+ * `filter` narrows it to some orders, e.g. before taking a customer's payment.
+ */
+const accrueStorageFees = async (now = new Date(), filter = {}) => {
+    const ruleFor = await loadStorageRules();
+    const orders = await Order.find({ ...filter, status: "ARRIVED" }).select(STORAGE_FIELDS).lean();
+    let updated = 0;
+
+    for (const order of orders) {
+        const storage = computeStorage(order, ruleFor(order), now);
+        if (order.storageFee === storage.storageFee && order.storageFeeDays === storage.overdueDays && order.arrivedAt) {
+            continue;
+        }
+
+        const result = await Order.updateOne(
+            { _id: order._id, status: "ARRIVED" },
+            {
+                $set: {
+                    arrivedAt: storage.arrivedAt,
+                    storageFee: storage.storageFee,
+                    storageFeeDays: storage.overdueDays,
+                    storageFeeUpdatedAt: now,
+                },
+            }
+        );
+        updated += result.modifiedCount;
+    }
+
+    return updated;
+};
+
+/**
+ * Bring one order document's storage fee up to date before it is handed
+ * over, so the amount due never depends on when the sweep last ran.
+ */
+const refreshStorageFee = async (order, now = new Date()) => {
+    if (order.status !== "ARRIVED") return order;
+
+    const tariff = await CargoTariff.findOne({
+        fromCountry: order.fromCountry,
+        toCountry: order.toCountry,
+        active: true,
+    }).lean();
+    const storage = computeStorage(order, storageRule(tariff), now);
+
+    order.arrivedAt = storage.arrivedAt;
+    order.storageFee = storage.storageFee;
+    order.storageFeeDays = storage.overdueDays;
+    order.storageFeeUpdatedAt = now;
+    return order;
+};
+
+/**
+ * Staff report: ARRIVED parcels past their free storage days, longest first.
+ */
+const overdueStorageReport = async (now = new Date()) => {
+    const ruleFor = await loadStorageRules();
+    const orders = await Order.find({ status: "ARRIVED", isArchived: { $ne: true } })
+        .select(STORAGE_FIELDS)
+        .populate("userId", "phone name")
+        .lean();
+
+    const rows = orders
+        .map((order) => {
+            const rule = ruleFor(order);
+            const storage = computeStorage(order, rule, now);
+            return {
+                orderId: order._id,
+                trackingNumber: order.trackingNumber,
+                customer: order.userId
+                    ? { userId: order.userId._id, phone: order.userId.phone, name: order.userId.name }
+                    : null,
+                route: routeKey(order.fromCountry, order.toCountry),
+                arrivedAt: storage.arrivedAt,
+                daysStored: storage.daysStored,
+                freeDays: rule.freeDays,
+                overdueDays: storage.overdueDays,
+                storageFee: storage.storageFee,
+                amountDue: amountDue({ ...order, storageFee: storage.storageFee }),
+            };
+        })
+        .filter((row) => row.overdueDays > 0)
+        .sort((a, b) => b.daysStored - a.daysStored);
+
+    return {
+        count: rows.length,
+        totalStorageFee: rows.reduce((sum, row) => sum + row.storageFee, 0),
+        orders: rows,
+    };
+};
+
+module.exports = {
+    DEFAULT_STORAGE_FEE_PER_DAY,
+    DEFAULT_STORAGE_FREE_DAYS,
+    accrueStorageFees,
+    computeStorage,
+    overdueStorageReport,
+    refreshStorageFee,
+};
@@ -0,0 +1,73 @@
+const mongoose = require("mongoose");
+const Category = require("../models/Category");
+const Product = require("../models/Product");
+
+// The categories that used to be hardcoded in the Product enum, in their original order
+const DEFAULT_CATEGORIES = [
+  { slug: "hool", name: "Хоол" },
+  { slug: "huns", name: "Хүнс" },
+  { slug: "boonii-tugeelt", name: "Бөөнний түгээлт" },
+  { slug: "urdchilsan-zahialga", name: "Урьдчилсан захиалга", preorder: true },
+  { slug: "kofe-amttan", name: "Кофе амттан" },
+  { slug: "alkohol", name: "Алкохол" },
+  { slug: "ger-ahui-huuhed", name: "Гэр ахуй & хүүхэд" },
+  { slug: "erdeneted-uildverlev", name: "Эргэнэтэд үйлдвэрлэв" },
+  { slug: "beleg-goo-saihan", name: "Бэлэг & гоо сайхан" },
+  { slug: "gadaad-zahialga", name: "Гадаад захиалга" },
+];
+
+/**
+ * Seed the former enum categories when none exist yet, then link every
+ * product that only has a category name to its Category document.
+ * Safe to run on every start.
+ */
+const ensureCategories = async () => {
+  if ((await Category.estimatedDocumentCount()) === 0) {
+    await Category.insertMany(
+      DEFAULT_CATEGORIES.map((category, index) => ({ ...category, order: index })),
+      { ordered: false },
+    ).catch((err) => {
+      if (err?.code !== 11000) throw err;
+    });
+  }
+
+  // Databases seeded before the preorder flag existed
+  await Category.updateOne({ slug: "urdchilsan-zahialga", preorder: { $exists: false } }, { $set: { preorder: true } });
+
+  const categories = await Category.find().select("_id name").lean();
+  let linked = 0;
+  for (const category of categories) {
+    const result = await Product.updateMany(
+      { category: category.name, categoryId: { $exists: false } },
+      { $set: { categoryId: category._id } },
+    );
+    linked += result.modifiedCount;
+  }
+  return linked;
+};
+
+// Accepts a Category id, slug or display name
+const resolveCategory = (value, { activeOnly = true } = {}) => {
+  const raw = String(value ?? "").trim();
+  if (!raw) return null;
+  const match = mongoose.Types.ObjectId.isValid(raw)
+    ? { $or: [{ _id: raw }, { slug: raw.toLowerCase() }, { name: raw }] }
+    : { $or: [{ slug: raw.toLowerCase() }, { name: raw }] };
+  return Category.findOne(activeOnly ? { ...match, active: true } : match).lean();
+};
+
+const listCategoriesWithCounts = async ({ includeInactive = false } = {}) => {
+  const [categories, counts] = await Promise.all([
+    Category.find(includeInactive ? {} : { active: true }).sort({ order: 1, name: 1 }).lean(),
+    Product.aggregate([{ $group: { _id: "$categoryId", count: { $sum: 1 } } }]),
+  ]);
+  const byId = new Map(counts.map((row) => [String(row._id), row.count]));
+  return categories.map((category) => ({ ...category, productCount: byId.get(String(category._id)) || 0 }));
+};
+
+module.exports = {
+  DEFAULT_CATEGORIES,
+  ensureCategories,
+  listCategoriesWithCounts,
+  resolveCategory,
+};
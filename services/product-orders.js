@@ -0,0 +1,230 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const Product = require("../models/Product");
+const ProductOrder = require("../models/ProductOrder");
+const { toPositiveInt } = require("../lib/upload");
+const { recordReservation, releaseReservation, reserveStock, restoreOrderStock } = require("./product-stock");
+
+const MAX_ORDER_LINES = 50;
+const MAX_LINE_QUANTITY = 999;
+const deliveryFeeInput = Number(process.env.PRODUCT_DELIVERY_FEE);
+const PRODUCT_DELIVERY_FEE = Number.isFinite(deliveryFeeInput) && deliveryFeeInput >= 0 ? deliveryFeeInput : 0;
+
+// Unambiguous characters only, so codes survive being read out over the phone
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = toPositiveInt(process.env.PRODUCT_ORDER_CODE_LENGTH, 8);
+
+const generateOrderCode = () =>
+  Array.from(crypto.randomBytes(CODE_LENGTH), (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join("");
+
+const activeVariants = (product) => (product.variants || []).filter((variant) => variant.active !== false);
+
+/**
+ * Validate requested lines ({ productId, variantId?, quantity }) against the
+ * catalog and snapshot each product's (or variant's) current name and price.
+ * Products with active variants require a variantId. Duplicate lines are merged.
+ */
+const buildOrderLines = async (rawItems) => {
+  if (!Array.isArray(rawItems) || rawItems.length === 0) {
+    return { ok: false, status: 400, error: "items are required" };
+  }
+  if (rawItems.length > MAX_ORDER_LINES) {
+    return { ok: false, status: 400, error: `At most ${MAX_ORDER_LINES} items per order` };
+  }
+
+  const requested = new Map();
+  for (const [index, raw] of rawItems.entries()) {
+    const productId = String(raw?.productId || "").trim();
+    const variantId = raw?.variantId ? String(raw.variantId).trim() : "";
+    const quantity = raw?.quantity === undefined ? 1 : Number(raw.quantity);
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      return { ok: false, status: 400, error: `Invalid productId at items[${index}]` };
+    }
+    if (variantId && !mongoose.Types.ObjectId.isValid(variantId)) {
+      return { ok: false, status: 400, error: `Invalid variantId at items[${index}]` };
+    }
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_LINE_QUANTITY) {
+      return { ok: false, status: 400, error: `Invalid quantity at items[${index}]` };
+    }
+    const key = `${productId}:${variantId}`;
+    const entry = requested.get(key) || { productId, variantId, quantity: 0, index };
+    entry.quantity += quantity;
+    requested.set(key, entry);
+  }
+
+  const productIds = [...new Set([...requested.values()].map((entry) => entry.productId))];
+  const products = await Product.find({ _id: { $in: productIds } }).select("_id name price variants").lean();
+  const byId = new Map(products.map((product) => [String(product._id), product]));
+  const missing = productIds.filter((id) => !byId.has(id));
+  if (missing.length > 0) {
+    return { ok: false, status: 404, error: "Product not found", missing };
+  }
+
+  const lines = [];
+  for (const { productId, variantId, quantity, index } of requested.values()) {
+    const product = byId.get(productId);
+    const variants = activeVariants(product);
+
+    if (variants.length === 0) {
+      if (variantId) {
+        return { ok: false, status: 400, error: `${product.name} has no variants (items[${index}])` };
+      }
+      lines.push({
+        product: product._id,
+        name: product.name,
+        unitPrice: product.price,
+        quantity,
+        lineTotal: product.price * quantity,
+      });
+      continue;
+    }
+
+    const variant = variants.find((item) => String(item._id) === variantId);
+    if (!variant) {
+      return {
+        ok: false,
+        status: 400,
+        error: `Choose a valid variant for ${product.name} (items[${index}])`,
+        variants: variants.map((item) => ({ variantId: item._id, label: item.label, price: item.price })),
+      };
+    }
+    lines.push({
+      product: product._id,
+      name: product.name,
+      variant: variant._id,
+      variantLabel: variant.label,
+      sku: variant.sku,
+      unitPrice: variant.price,
+      quantity,
+      lineTotal: variant.price * quantity,
+    });
+  }
+
+  return { ok: true, lines };
+};
+
+const orderTotals = (lines, deliveryFee = PRODUCT_DELIVERY_FEE) => {
+  const subtotal = lines.reduce((sum, line) => sum + line.lineTotal, 0);
+  return { subtotal, deliveryFee, total: subtotal + deliveryFee };
+};
+
+const PRODUCT_ORDER_STATUSES = ["NEW", "CONFIRMED", "PREPARING", "OUT_FOR_DELIVERY", "DELIVERED", "CANCELLED"];
+
+// Orders move forward one step at a time and can be cancelled until they are delivered
+const PRODUCT_ORDER_TRANSITIONS = {
+  NEW: ["CONFIRMED", "CANCELLED"],
+  CONFIRMED: ["PREPARING", "CANCELLED"],
+  PREPARING: ["OUT_FOR_DELIVERY", "CANCELLED"],
+  OUT_FOR_DELIVERY: ["DELIVERED", "CANCELLED"],
+  DELIVERED: [],
+  CANCELLED: [],
+};
+
+/**
+ * Move a product order to `nextStatus`. The update is conditional on the
+ * status we validated against, so concurrent admins cannot double-apply.
+ */
+const changeProductOrderStatus = async (order, nextStatus, { by, reason, note, now = new Date() } = {}) => {
+  if (!PRODUCT_ORDER_STATUSES.includes(nextStatus)) {
+    return { ok: false, status: 400, error: "Invalid status" };
+  }
+  if (order.status === nextStatus) {
+    // Callers may pass a trimmed projection; answer with the full order like the other paths
+    const current = await ProductOrder.findById(order._id);
+    return { ok: true, order: current || order, changed: false };
+  }
+  if (!(PRODUCT_ORDER_TRANSITIONS[order.status] || []).includes(nextStatus)) {
+    return {
+      ok: false,
+      status: 409,
+      error: `Invalid status transition: ${order.status} -> ${nextStatus}`,
+      allowed: PRODUCT_ORDER_TRANSITIONS[order.status] || [],
+    };
+  }
+
+  const cancelReason = typeof reason === "string" ? reason.trim() : "";
+  if (nextStatus === "CANCELLED" && !cancelReason) {
+    return { ok: false, status: 400, error: "reason is required to cancel an order" };
+  }
+
+  const set = { status: nextStatus };
+  if (nextStatus === "CANCELLED") {
+    set.cancelReason = cancelReason;
+    set.cancelledAt = now;
+  }
+
+  const updated = await ProductOrder.findOneAndUpdate(
+    { _id: order._id, status: order.status },
+    {
+      $set: set,
+      $push: {
+        statusHistory: {
+          status: nextStatus,
+          from: order.status,
+          changedAt: now,
+          by,
+          note: (typeof note === "string" && note.trim()) || undefined,
+        },
+      },
+    },
+    { new: true },
+  );
+  if (!updated) {
+    return { ok: false, status: 409, error: "Order was changed concurrently, please retry" };
+  }
+
+  if (nextStatus === "CANCELLED" && updated.stockReserved) {
+    await restoreOrderStock(updated, { by });
+    await ProductOrder.updateOne({ _id: updated._id }, { $set: { stockReserved: false } });
+    updated.stockReserved = false;
+  }
+
+  return { ok: true, order: updated, changed: true };
+};
+
+// Retries on the (very unlikely) code collision instead of failing the checkout
+const insertWithCode = async (data) => {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await ProductOrder.create({ ...data, code: generateOrderCode() });
+    } catch (err) {
+      const codeTaken = err?.code === 11000 && Object.keys(err.keyPattern || {}).includes("code");
+      if (!codeTaken || attempt >= 4) throw err;
+    }
+  }
+};
+
+/**
+ * Reserve stock for the order lines and create the order. Returns
+ * { ok: false, status, error } when a limited product is short.
+ */
+const createProductOrder = async (data) => {
+  const reservation = await reserveStock(data.items);
+  if (!reservation.ok) return reservation;
+
+  const reserved = new Map(reservation.taken.map((item) => [item.line, item.quantity]));
+  const items = data.items.map((item, index) => ({ ...item, reservedQuantity: reserved.get(index) || 0 }));
+
+  let order;
+  try {
+    order = await insertWithCode({ ...data, items, stockReserved: reserved.size > 0 });
+  } catch (err) {
+    await releaseReservation(reservation.taken);
+    throw err;
+  }
+
+  if (reservation.taken.length > 0) await recordReservation(reservation.taken, order._id);
+  return { ok: true, order };
+};
+
+module.exports = {
+  PRODUCT_DELIVERY_FEE,
+  PRODUCT_ORDER_STATUSES,
+  PRODUCT_ORDER_TRANSITIONS,
+  activeVariants,
+  buildOrderLines,
+  changeProductOrderStatus,
+  createProductOrder,
+  generateOrderCode,
+  orderTotals,
+};
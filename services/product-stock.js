@@ -0,0 +1,203 @@
+const Product = require("../models/Product");
+const StockAdjustment = require("../models/StockAdjustment");
+const { toPositiveInt } = require("../lib/upload");
+
+const DEFAULT_LOW_STOCK_THRESHOLD = toPositiveInt(process.env.PRODUCT_LOW_STOCK_THRESHOLD, 5);
+
+// Mode for a new product when the admin does not pick one: stock is only
+// tracked when the admin sent opening stock, so new products stay orderable
+const defaultStockMode = (category, { tracked = false } = {}) => {
+  if (category?.preorder) return "preorder";
+  return tracked ? "limited" : "unlimited";
+};
+
+// Variant lines move the variant's stock; plain lines move the product's
+const stockAfterOf = (doc, variant) =>
+  variant ? doc.variants.find((item) => String(item._id) === String(variant))?.stock : doc.stock;
+
+const takeUnits = async (productId, variant, quantity) => {
+  const filter = variant
+    ? { _id: productId, stockMode: "limited", variants: { $elemMatch: { _id: variant, stock: { $gte: quantity } } } }
+    : { _id: productId, stockMode: "limited", stock: { $gte: quantity } };
+  const update = variant ? { $inc: { "variants.$.stock": -quantity } } : { $inc: { stock: -quantity } };
+  const updated = await Product.findOneAndUpdate(filter, update, { new: true }).select("_id stock variants");
+  return updated ? { stockAfter: stockAfterOf(updated, variant) } : null;
+};
+
+const giveUnits = async (productId, variant, quantity) => {
+  const filter = variant
+    ? { _id: productId, stockMode: "limited", "variants._id": variant }
+    : { _id: productId, stockMode: "limited" };
+  const update = variant ? { $inc: { "variants.$.stock": quantity } } : { $inc: { stock: quantity } };
+  const updated = await Product.findOneAndUpdate(filter, update, { new: true }).select("_id stock variants");
+  return updated ? { stockAfter: stockAfterOf(updated, variant) } : null;
+};
+
+/**
+ * Take every line's quantity from stock for a new order. Each decrement is
+ * conditional on enough stock; if any line falls short the earlier ones are
+ * put back and the order must not be created.
+ */
+const reserveStock = async (lines) => {
+  const productIds = lines.map((line) => line.product);
+  const limited = await Product.find({ _id: { $in: productIds }, stockMode: "limited" }).select("_id").lean();
+  const limitedIds = new Set(limited.map((product) => String(product._id)));
+  const taken = [];
+
+  for (const [index, line] of lines.entries()) {
+    if (!limitedIds.has(String(line.product))) continue;
+
+    const result = await takeUnits(line.product, line.variant, line.quantity);
+    if (!result) {
+      for (const done of taken) await giveUnits(done.product, done.variant, done.quantity);
+      const current = await Product.findById(line.product).select("stock variants").lean();
+      return {
+        ok: false,
+        status: 409,
+        error: `Not enough stock for ${line.variantLabel ? `${line.name} (${line.variantLabel})` : line.name}`,
+        productId: line.product,
+        variantId: line.variant,
+        available: (current && stockAfterOf(current, line.variant)) ?? 0,
+      };
+    }
+    taken.push({
+      line: index,
+      product: line.product,
+      variant: line.variant,
+      quantity: line.quantity,
+      stockAfter: result.stockAfter,
+    });
+  }
+
+  return { ok: true, taken };
+};
+
+// Audit the reservation once the order exists so history links to it
+const recordReservation = (taken, orderId) =>
+  StockAdjustment.insertMany(
+    taken.map((item) => ({
+      product: item.product,
+      variant: item.variant,
+      delta: -item.quantity,
+      stockAfter: item.stockAfter,
+      reason: "order",
+      order: orderId,
+    })),
+  );
+
+const releaseReservation = async (taken) => {
+  for (const item of taken) await giveUnits(item.product, item.variant, item.quantity);
+};
+
+// Put back only what a cancelled order actually took from the shelf
+const restoreOrderStock = async (order, { by } = {}) => {
+  for (const line of order.items || []) {
+    if (!(line.reservedQuantity > 0)) continue;
+    const result = await giveUnits(line.product, line.variant, line.reservedQuantity);
+    if (!result) continue;
+    await StockAdjustment.create({
+      product: line.product,
+      variant: line.variant,
+      delta: line.reservedQuantity,
+      stockAfter: result.stockAfter,
+      reason: "order_cancelled",
+      order: order._id,
+      by,
+    });
+  }
+};
+
+/**
+ * Manual stock change by an admin on a product or one of its variants:
+ * either a relative `delta` or an absolute `set` value. Rejects changes
+ * that would take stock below zero.
+ */
+const adjustStock = async (productId, { variant, delta, set, reason, note, by }) => {
+  const product = await Product.findById(productId).select("_id stock stockMode variants").lean();
+  if (!product) {
+    return { ok: false, status: 404, error: "Product not found" };
+  }
+
+  const target = variant ? (product.variants || []).find((item) => String(item._id) === String(variant)) : product;
+  if (!target) {
+    return { ok: false, status: 404, error: "Variant not found" };
+  }
+
+  // An absolute value only applies if nobody sold from the stock we just read
+  const current = target.stock || 0;
+  const change = set !== undefined ? set - current : delta;
+  const minimum = set !== undefined ? current : Math.max(0, -change);
+  const stockCondition = set !== undefined ? current : { $gte: minimum };
+  // Products and variants from before stock tracking have no stock field; that counts as 0
+  const stockMatch =
+    minimum === 0 ? { $or: [{ stock: stockCondition }, { stock: { $exists: false } }] } : { stock: stockCondition };
+  const filter = variant
+    ? { _id: productId, variants: { $elemMatch: { _id: variant, ...stockMatch } } }
+    : { _id: productId, ...stockMatch };
+  const update = variant ? { $inc: { "variants.$.stock": change } } : { $inc: { stock: change } };
+
+  const updated = await Product.findOneAndUpdate(filter, update, { new: true });
+  if (!updated) {
+    return {
+      ok: false,
+      status: 409,
+      error: set !== undefined ? "Stock changed meanwhile, please retry" : "Stock cannot go below zero",
+    };
+  }
+
+  const adjustment = await StockAdjustment.create({
+    product: productId,
+    variant,
+    delta: change,
+    stockAfter: stockAfterOf(updated, variant),
+    reason,
+    note,
+    by,
+  });
+  return { ok: true, product: updated, adjustment };
+};
+
+// Limited products (or their active variants) at or below their threshold
+const lowStockReport = async ({ threshold } = {}) => {
+  const products = await Product.find({ stockMode: "limited" })
+    .select("name category stock lowStockThreshold variants")
+    .sort({ stock: 1, name: 1 })
+    .lean();
+
+  const rows = [];
+  for (const product of products) {
+    const limit = threshold ?? product.lowStockThreshold ?? DEFAULT_LOW_STOCK_THRESHOLD;
+    const variants = (product.variants || []).filter((variant) => variant.active !== false);
+
+    if (variants.length === 0) {
+      if ((product.stock || 0) <= limit) {
+        const { variants: _variants, ...rest } = product;
+        rows.push(rest);
+      }
+      continue;
+    }
+
+    const low = variants.filter((variant) => (variant.stock || 0) <= limit);
+    if (low.length > 0) {
+      rows.push({
+        _id: product._id,
+        name: product.name,
+        category: product.category,
+        lowStockThreshold: product.lowStockThreshold,
+        variants: low.map((variant) => ({ _id: variant._id, sku: variant.sku, label: variant.label, stock: variant.stock })),
+      });
+    }
+  }
+  return rows;
+};
+
+module.exports = {
+  DEFAULT_LOW_STOCK_THRESHOLD,
+  adjustStock,
+  defaultStockMode,
+  lowStockReport,
+  recordReservation,
+  releaseReservation,
+  reserveStock,
+  restoreOrderStock,
+};
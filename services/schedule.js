@@ -0,0 +1,144 @@
+const ArtistAvailability = require("../models/ArtistAvailability");
+const Location = require("../models/Location");
+const ScheduleTemplate = require("../models/ScheduleTemplate");
+const { DEFAULT_TIME_ZONE, dateInZone } = require("../lib/timezone");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toMinutes = (time) => {
+    const [hours, minutes] = String(time).split(":").map(Number);
+    return hours * 60 + minutes;
+};
+
+const fromMinutes = (total) => {
+    const hours = String(Math.floor(total / 60)).padStart(2, "0");
+    const minutes = String(total % 60).padStart(2, "0");
+    return `${hours}:${minutes}`;
+};
+
+// Date strings are handled as UTC midnights so adding days never drifts with DST or server zone.
+const addDays = (isoDate, days) =>
+    new Date(Date.parse(`${isoDate}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+const weekdayOf = (isoDate) => new Date(`${isoDate}T00:00:00Z`).getUTCDay();
+
+/**
+ * Slots (start time and length) a template offers on the given date, or an empty list when
+ * the day is closed or falls inside an exception range.
+ */
+const slotsForDate = (template, isoDate) => {
+    const isException = (template.exceptions || []).some(
+        (exception) => exception.startDate <= isoDate && isoDate <= exception.endDate,
+    );
+    if (isException) return [];
+
+    const weekday = weekdayOf(isoDate);
+    const times = new Map();
+
+    (template.weeklyHours || [])
+        .filter((range) => range.weekday === weekday)
+        .forEach((range) => {
+            const end = toMinutes(range.end);
+            for (let start = toMinutes(range.start); start + range.slotMinutes <= end; start += range.slotMinutes) {
+                const time = fromMinutes(start);
+                if (!times.has(time)) times.set(time, range.slotMinutes);
+            }
+        });
+
+    return Array.from(times, ([time, durationMinutes]) => ({ time, durationMinutes }))
+        .sort((a, b) => a.time.localeCompare(b.time));
+};
+
+// Booked slots always survive; free slots are replaced with what the template offers.
+const mergeSlots = (existingSlots, templateSlots) => {
+    const booked = (existingSlots || []).filter((slot) => slot.isBooked === true);
+    const bookedTimes = new Set(booked.map((slot) => slot.time));
+    const free = templateSlots
+        .filter((slot) => !bookedTimes.has(slot.time))
+        .map((slot) => ({ time: slot.time, isBooked: false, durationMinutes: slot.durationMinutes }));
+
+    return [
+        ...booked.map((slot) => ({ time: slot.time, isBooked: true, durationMinutes: slot.durationMinutes })),
+        ...free,
+    ].sort((a, b) => a.time.localeCompare(b.time));
+};
+
+const sameSlots = (a, b) =>
+    a.length === b.length && a.every((slot, index) => (
+        slot.time === b[index].time
+        && slot.isBooked === b[index].isBooked
+        && (slot.durationMinutes || null) === (b[index].durationMinutes || null)
+    ));
+
+const materializeDay = async (template, isoDate) => {
+    const templateSlots = slotsForDate(template, isoDate);
+    const filter = { artist: template.artist, location: template.location, date: isoDate };
+    const existing = await ArtistAvailability.findOne(filter).lean();
+
+    if (!existing) {
+        if (templateSlots.length === 0) return "closed";
+        try {
+            await ArtistAvailability.create({ ...filter, slots: templateSlots });
+            return "created";
+        } catch (err) {
+            // Someone else created the day in the meantime; leave it for the next run.
+            if (err?.code === 11000) return "skipped";
+            throw err;
+        }
+    }
+
+    const slots = mergeSlots(existing.slots, templateSlots);
+    if (sameSlots(slots, existing.slots || [])) return "unchanged";
+
+    // Guard on updatedAt so a slot claimed after we read the day is never overwritten.
+    const result = await ArtistAvailability.updateOne(
+        { _id: existing._id, updatedAt: existing.updatedAt },
+        { $set: { slots } },
+    );
+    return result.modifiedCount > 0 ? "updated" : "skipped";
+};
+
+/**
+ * Materialise ArtistAvailability days for a template, starting at fromDate
+ * (defaults to today in the location's zone) and covering `days` days
+ * (defaults to the template horizon).
+ */
+const generateAvailability = async (template, { fromDate, days } = {}) => {
+    let start = fromDate;
+    if (!start) {
+        const location = await Location.findById(template.location).select("timezone").lean();
+        start = dateInZone(new Date(), location?.timezone || DEFAULT_TIME_ZONE);
+    }
+    const total = days || template.horizonDays || 28;
+    const summary = { created: 0, updated: 0, unchanged: 0, closed: 0, skipped: 0 };
+
+    for (let index = 0; index < total; index += 1) {
+        const outcome = await materializeDay(template, addDays(start, index));
+        summary[outcome] += 1;
+    }
+
+    await ScheduleTemplate.updateOne({ _id: template._id }, { $set: { lastGeneratedAt: new Date() } });
+    return summary;
+};
+
+const generateAllAvailability = async () => {
+    const templates = await ScheduleTemplate.find({ active: true }).lean();
+    for (const template of templates) {
+        try {
+            await generateAvailability(template);
+        } catch (err) {
+            console.error(`Availability generation failed for template ${template._id}:`, err.message);
+        }
+    }
+    return templates.length;
+};
+
+module.exports = {
+    addDays,
+    generateAllAvailability,
+    generateAvailability,
+    mergeSlots,
+    slotsForDate,
+    toMinutes,
+    weekdayOf,
+};
@@ -0,0 +1,82 @@
+const ArtistAvailability = require("../models/ArtistAvailability");
+const { toPositiveInt } = require("../lib/upload");
+const { toMinutes } = require("./schedule");
+
+// Length assumed for the last slot of a day when it carries no explicit duration.
+const DEFAULT_SLOT_MINUTES = toPositiveInt(process.env.BOOKING_DEFAULT_SLOT_MINUTES, 60);
+
+const bookingSlotTimes = (booking) =>
+    Array.isArray(booking.slotTimes) && booking.slotTimes.length > 0 ? booking.slotTimes : [booking.time];
+
+const slotEndMinutes = (slots, index) => {
+    const slot = slots[index];
+    if (slot.durationMinutes) return toMinutes(slot.time) + slot.durationMinutes;
+    const next = slots[index + 1];
+    return next ? toMinutes(next.time) : toMinutes(slot.time) + DEFAULT_SLOT_MINUTES;
+};
+
+/**
+ * Times of the consecutive free slots needed to fit `durationMinutes` from
+ * `startTime`, or null when a booked slot, a gap or the end of the day gets in the way.
+ */
+const coveringSlotTimes = (slots, startTime, durationMinutes) => {
+    const sorted = [...(slots || [])].sort((a, b) => a.time.localeCompare(b.time));
+    const startIndex = sorted.findIndex((slot) => slot.time === startTime);
+    if (startIndex === -1) return null;
+
+    const target = toMinutes(startTime) + durationMinutes;
+    const times = [];
+    let coveredUntil = toMinutes(startTime);
+
+    for (let index = startIndex; index < sorted.length; index += 1) {
+        const slot = sorted[index];
+        if (slot.isBooked === true || toMinutes(slot.time) > coveredUntil) return null;
+        times.push(slot.time);
+        coveredUntil = slotEndMinutes(sorted, index);
+        if (coveredUntil >= target) return times;
+    }
+
+    return null;
+};
+
+// Claims every listed slot in one update so a multi-slot booking is all-or-nothing.
+const claimSlots = ({ artist, location, date, times }) =>
+    ArtistAvailability.findOneAndUpdate(
+        {
+            artist,
+            location,
+            date,
+            slots: { $all: times.map((time) => ({ $elemMatch: { time, isBooked: false } })) },
+        },
+        {
+            $set: { "slots.$[slot].isBooked": true },
+        },
+        { new: true, arrayFilters: [{ "slot.time": { $in: times } }] },
+    );
+
+const releaseSlots = ({ artist, location, date, times }) =>
+    ArtistAvailability.updateOne(
+        { artist, location, date },
+        {
+            $set: { "slots.$[slot].isBooked": false },
+        },
+        { arrayFilters: [{ "slot.time": { $in: times } }] },
+    );
+
+const releaseBookingSlots = (booking) =>
+    releaseSlots({
+        artist: booking.artist,
+        location: booking.location,
+        date: booking.date,
+        times: bookingSlotTimes(booking),
+    });
+
+module.exports = {
+    DEFAULT_SLOT_MINUTES,
+    bookingSlotTimes,
+    claimSlots,
+    coveringSlotTimes,
+    releaseBookingSlots,
+    releaseSlots,
+    slotEndMinutes,
+};
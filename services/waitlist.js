@@ -0,0 +1,210 @@
+const ArtistAvailability = require("../models/ArtistAvailability");
+const Booking = require("../models/Booking");
+const Location = require("../models/Location");
+const Notification = require("../models/Notification");
+const Service = require("../models/Service");
+const WaitlistEntry = require("../models/WaitlistEntry");
+const { toPositiveInt } = require("../lib/upload");
+const { DEFAULT_TIME_ZONE, isPastInZone } = require("../lib/timezone");
+const { claimSlots, coveringSlotTimes, releaseSlots } = require("./slots");
+
+// How long a promoted customer has to confirm before the hold passes to the next person.
+const WAITLIST_HOLD_MINUTES = toPositiveInt(process.env.WAITLIST_HOLD_MINUTES, 30);
+
+const fitsWindow = (entry, time) =>
+    (!entry.timeFrom || entry.timeFrom <= time) && (!entry.timeTo || time <= entry.timeTo);
+
+// First start time in the entry's window with enough free slots, as the list of slots to hold.
+const findOpening = (entry, slots, timeZone) => {
+    const sorted = [...(slots || [])].sort((a, b) => a.time.localeCompare(b.time));
+    for (const slot of sorted) {
+        if (slot.isBooked === true || !fitsWindow(entry, slot.time)) continue;
+        if (isPastInZone(entry.date, slot.time, timeZone)) continue;
+
+        const times = entry.durationMinutes
+            ? coveringSlotTimes(sorted, slot.time, entry.durationMinutes)
+            : [slot.time];
+        if (times) return { time: slot.time, times };
+    }
+    return null;
+};
+
+const notifyOffer = (entry) =>
+    Notification.create({
+        user: entry.user,
+        type: "waitlist_offer",
+        title: "Хүлээлгийн жагсаалтаас цаг чөлөөлөгдлөө",
+        message: `${entry.date} ${entry.offer.time} цагийг таньд ${WAITLIST_HOLD_MINUTES} минутын турш хадгаллаа. Баталгаажуулна уу.`,
+        data: {
+            waitlistEntryId: entry._id.toString(),
+            date: entry.date,
+            time: entry.offer.time,
+            expiresAt: entry.offer.expiresAt,
+        },
+    });
+
+/**
+ * Hand freed slots of one artist day to waiting customers in join order.
+ * Each promoted entry gets its slots held (marked booked) until the offer expires.
+ */
+const offerFreedSlots = async ({ artist, location, date }) => {
+    const entries = await WaitlistEntry.find({ artist, location, date, status: "waiting" }).sort({ createdAt: 1 }).lean();
+    if (entries.length === 0) return 0;
+
+    const locationDoc = await Location.findById(location).select("timezone").lean();
+    const timeZone = locationDoc?.timezone || DEFAULT_TIME_ZONE;
+    let offered = 0;
+
+    for (const entry of entries) {
+        const day = await ArtistAvailability.findOne({ artist, location, date }).lean();
+        if (!day) break;
+
+        const opening = findOpening(entry, day.slots, timeZone);
+        if (!opening) continue;
+
+        const target = { artist, location, date, times: opening.times };
+        const claimed = await claimSlots(target);
+        if (!claimed) continue;
+
+        const promoted = await WaitlistEntry.findOneAndUpdate(
+            { _id: entry._id, status: "waiting" },
+            {
+                $set: {
+                    status: "offered",
+                    offer: {
+                        time: opening.time,
+                        slotTimes: opening.times,
+                        offeredAt: new Date(),
+                        expiresAt: new Date(Date.now() + WAITLIST_HOLD_MINUTES * 60 * 1000),
+                    },
+                },
+            },
+            { new: true },
+        );
+
+        if (!promoted) {
+            await releaseSlots(target);
+            continue;
+        }
+
+        await notifyOffer(promoted);
+        offered += 1;
+    }
+
+    return offered;
+};
+
+// Never lets a waitlist failure break the cancellation that triggered it.
+const offerFreedSlotsSafely = (day) =>
+    offerFreedSlots(day).catch((err) => {
+        console.error("Waitlist promotion failed:", err.message);
+        return 0;
+    });
+
+/**
+ * Drop an entry's hold (expired or withdrawn), free its slots and pass them on.
+ */
+const releaseHold = async (entry, nextStatus) => {
+    const released = await WaitlistEntry.findOneAndUpdate(
+        { _id: entry._id, status: "offered" },
+        { $set: { status: nextStatus } },
+        { new: true },
+    );
+    if (!released) return null;
+
+    const day = { artist: released.artist, location: released.location, date: released.date };
+    await releaseSlots({ ...day, times: released.offer.slotTimes });
+    await offerFreedSlotsSafely(day);
+    return released;
+};
+
+const cancelEntry = async (entry) => {
+    if (entry.status === "offered") {
+        const released = await releaseHold(entry, "cancelled");
+        if (released) return { ok: true, entry: released };
+    }
+
+    const cancelled = await WaitlistEntry.findOneAndUpdate(
+        { _id: entry._id, status: "waiting" },
+        { $set: { status: "cancelled" } },
+        { new: true },
+    );
+    if (!cancelled) {
+        return { ok: false, status: 409, error: "Энэ хүсэлтийг цуцлах боломжгүй." };
+    }
+    return { ok: true, entry: cancelled };
+};
+
+/**
+ * Turn a held offer into a booking. The slots are already marked booked by
+ * the hold, so only the Booking document is created here.
+ */
+const confirmOffer = async (entry) => {
+    if (entry.status !== "offered") {
+        return { ok: false, status: 409, error: "Энэ хүсэлтэд санал болгосон цаг алга." };
+    }
+
+    if (entry.offer.expiresAt.getTime() <= Date.now()) {
+        await releaseHold(entry, "expired");
+        return { ok: false, status: 410, error: "Хадгалсан цагийн хугацаа дууссан байна." };
+    }
+
+    const taken = await WaitlistEntry.findOneAndUpdate(
+        { _id: entry._id, status: "offered", "offer.expiresAt": { $gt: new Date() } },
+        { $set: { status: "booked" } },
+        { new: true },
+    );
+    if (!taken) {
+        return { ok: false, status: 409, error: "Хадгалсан цаг өөрчлөгдсөн байна." };
+    }
+
+    const service = taken.service ? await Service.findById(taken.service).lean() : null;
+    const bookingData = {
+        user: taken.user,
+        customer: taken.customer,
+        location: taken.location,
+        artist: taken.artist,
+        date: taken.date,
+        time: taken.offer.time,
+        timeslot: `${taken.date}T${taken.offer.time}`,
+        slotTimes: taken.offer.slotTimes,
+        status: "confirmed",
+    };
+
+    if (taken.service) {
+        bookingData.service = taken.service;
+        bookingData.serviceName = service?.name;
+        bookingData.durationMinutes = taken.durationMinutes;
+        bookingData.price = service?.price;
+    }
+
+    let booking;
+    try {
+        booking = await Booking.create(bookingData);
+    } catch (err) {
+        await WaitlistEntry.updateOne({ _id: taken._id }, { $set: { status: "expired" } });
+        await releaseSlots({ artist: taken.artist, location: taken.location, date: taken.date, times: taken.offer.slotTimes });
+        throw err;
+    }
+
+    taken.booking = booking._id;
+    await taken.save();
+    return { ok: true, booking, entry: taken };
+};
+
+const expireWaitlistHolds = async () => {
+    const expired = await WaitlistEntry.find({ status: "offered", "offer.expiresAt": { $lte: new Date() } }).lean();
+    for (const entry of expired) {
+        await releaseHold(entry, "expired");
+    }
+    return expired.length;
+};
+
+module.exports = {
+    WAITLIST_HOLD_MINUTES,
+    cancelEntry,
+    confirmOffer,
+    expireWaitlistHolds,
+    offerFreedSlots,
+    offerFreedSlotsSafely,
+};